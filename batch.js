@@ -78,6 +78,22 @@ const db = {
     return redis.set(key, value, opts);
   },
 
+  async strLen(key) {
+    return Number(await redis.strlen(key)) || 0;
+  },
+
+  async incr(key) {
+    return Number(await redis.incr(key));
+  },
+
+  async expire(key, seconds) {
+    return redis.expire(key, seconds);
+  },
+
+  async eval(script, keys, args) {
+    return redis.eval(script, keys, args);
+  },
+
   async hSet(key, field, value) {
     return redis.hset(key, { [field]: value });
   },
@@ -91,6 +107,20 @@ const db = {
     return redis.hdel(key, ...fields);
   },
 
+  async hIncrBy(key, field, increment) {
+    return redis.hincrby(key, field, increment);
+  },
+
+  async hGetAll(key) {
+    const data = await redis.hgetall(key);
+    return data || {};
+  },
+
+  async scan(cursor, match, count = 1000) {
+    const [ next, keys ] = await redis.scan(cursor, { match, count });
+    return [ String(next), Array.isArray(keys) ? keys : [] ];
+  },
+
   async sCard(key) {
     const size = await redis.scard(key);
     return Number(size) || 0;
@@ -109,6 +139,24 @@ const db = {
     if (!members.length) return 0;
     return redis.zrem(key, ...members);
   },
+
+  async zIncrBy(key, increment, member) {
+    return redis.zincrby(key, increment, member);
+  },
+
+  async zRange(key, start, stop) {
+    const data = await redis.zrange(key, start, stop);
+    return Array.isArray(data) ? data : [];
+  },
+
+  async zRevRange(key, start, stop) {
+    const data = await redis.zrange(key, start, stop, { rev: true });
+    return Array.isArray(data) ? data : [];
+  },
+
+  async zRemRangeByRank(key, start, stop) {
+    return redis.zremrangebyrank(key, start, stop);
+  },
 };
 
 db.on('error', (err) => {
@@ -1,80 +1,802 @@
 /**
- *  @file Common cache methods
+ *  @file Common cache methods, with pluggable backends: JSON files under .cache/ for local development, or Upstash Redis, shared by every instance of node running in a PM2 cluster
  *  @author Avana Vana <avana@esovdb.org>
  *  @module cache
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
+const zlib = require('zlib');
 
-/** @constant {number} cacheInterval - The duration, in seconds after which a cache file is considered stale (default: 300s = 5m) */
+/** @constant {number} cacheInterval - The duration, in seconds after which a cache file is considered stale (default: 300s = 5m), which is replaced by the interval shared by every instance, if one has been set with {@link setCacheInterval} */
 let cacheInterval = 60 * 5;
 
+/** @constant {number} cacheIntervalRefresh - The duration, in seconds, after which each instance reads the cache interval shared by every instance again, so that a change made on one instance applies to the rest within this long (default: 30s) */
+const cacheIntervalRefresh = 30;
+
+/** @constant {number} cacheIntervalRead - The time the shared cache interval was last read, in milliseconds since the Unix epoch */
+let cacheIntervalRead = 0;
+
+/** @constant {number} cacheTtl - The duration, in seconds, after which a cache entry is evicted from Redis, unless it's written with its own TTL (default: 86400s = 24h) */
+const cacheTtl = Number(process.env.CACHE_TTL) || 60 * 60 * 24;
+
+/** @constant {number} cacheMaxEntryBytes - The maximum size, in bytes, of a single Redis value holding a compressed cache entry, above which the entry is split into chunks of this size, each stored under its own key (default: 1MB, Upstash's maximum request size on its free plan) */
+const cacheMaxEntryBytes = Number(process.env.CACHE_MAX_ENTRY_BYTES) || 1024 * 1024;
+
+/** @constant {number} cacheMaxBytes - The maximum total size, in bytes, of every compressed cache entry stored in Redis, above which the least recently used entries are evicted, and which no single entry can be larger than (default: 128MB, half of Upstash's maximum database size on its free plan) */
+const cacheMaxBytes = Number(process.env.CACHE_MAX_BYTES) || 128 * 1024 * 1024;
+
+/** @constant {number} cacheLockTtl - The duration, in seconds, after which a lock on a cache entry that is being revalidated is released, even if the instance that locked it never finishes (default: 300s = 5m) */
+const cacheLockTtl = 60 * 5;
+
+/** @constant {number} maxPopularPaths - The maximum number of cache paths whose requests are counted by {@link fileBackend}, for finding the most popular ones to warm */
+const maxPopularPaths = 1000;
+
+/** @constant {string} popularPath - The path of the file in which {@link fileBackend} keeps the number of requests for each cache path, for finding the most popular ones to warm */
+const popularPath = '.cache/.popular.json';
+
+/** @constant {string} markersPath - The path of the file in which {@link fileBackend} keeps the time each cache path prefix was last invalidated */
+const markersPath = '.cache/.invalidated.json';
+
+/** @constant {string} intervalPath - The path of the file in which {@link fileBackend} keeps the cache interval set with {@link setCacheInterval} */
+const intervalPath = '.cache/.interval.json';
+
+/** @constant {string} cacheNamespace - The prefix of every Redis key used by the cache, so that the cache can share a Redis database with batch processing and other data */
+const cacheNamespace = process.env.CACHE_NAMESPACE || 'esovdb:cache';
+
+/**
+ *  Normalizes a cache path, as passed to {@link writeCacheWithPath} or {@link readCacheWithPath}, into the path of its cache file
+ *
+ *  @function filePath
+ *  @param {string} path - The request's URL, with query params, prefixed with '.cache' (e.g. '.cache/v1/videos/query/all.json')
+ *  @returns {string} The path of the cache file
+ */
+
+const filePath = (path) => path.replace('?', '/');
+
+/**
+ *  Normalizes a cache path, as passed to {@link writeCacheWithPath} or {@link readCacheWithPath}, into a namespaced Redis key
+ *
+ *  @function redisKey
+ *  @requires filePath
+ *  @param {string} path - The request's URL, with query params, prefixed with '.cache' (e.g. '.cache/v1/videos/query/all.json')
+ *  @returns {string} The Redis key of the cache entry (e.g. 'esovdb:cache:v1/videos/query/all.json')
+ */
+
+const redisKey = (path) => `${cacheNamespace}:${filePath(path).replace(/^\.cache\//, '')}`;
+
+/**
+ *  Lists every prefix of a cache path that can be invalidated, from the least to the most specific, so that invalidating a prefix (e.g. 'v1/videos/query') marks every entry under it as stale
+ *
+ *  @function pathPrefixes
+ *  @requires filePath
+ *  @param {string} path - The request's URL, with query params, prefixed with '.cache' (e.g. '.cache/v1/videos/query/1?pageSize=10.json')
+ *  @returns {string[]} The prefixes of the path, without '.cache/' or '.json' (e.g. [ 'v1', 'v1/videos', 'v1/videos/query', 'v1/videos/query/1', 'v1/videos/query/1/pageSize=10' ])
+ *
+ *  @example
+ *  // returns [ 'v1', 'v1/videos', 'v1/videos/recXXXXXXXXXXXXXX' ]
+ *  pathPrefixes('.cache/v1/videos/recXXXXXXXXXXXXXX.json');
+ */
+
+const pathPrefixes = (path) => filePath(path)
+  .replace(/^\.cache\//, '')
+  .replace(/\.json$/, '')
+  .split('/')
+  .map((segment, i, segments) => segments.slice(0, i + 1).join('/'));
+
+/**
+ *  Groups a cache path into the family of routes it belongs to, for counting cache hits and misses per route family, where record IDs and page numbers are left out
+ *
+ *  @function routeFamily
+ *  @requires pathPrefixes
+ *  @param {string} path - The request's URL, with query params, prefixed with '.cache' (e.g. '.cache/v1/videos/recXXXXXXXXXXXXXX.json')
+ *  @returns {string} The route family of the path (e.g. 'videos/:id')
+ *
+ *  @example
+ *  // returns 'videos/query'
+ *  routeFamily('.cache/v1/videos/query/1?pageSize=10.json');
+ */
+
+const routeFamily = (path) => {
+  const prefixes = pathPrefixes(path);
+  return prefixes[prefixes.length - 1]
+    .split('/')
+    .slice(1, 3)
+    .map((segment) => /^rec[a-zA-Z0-9]{14}$/.test(segment) ? ':id' : segment)
+    .join('/');
+};
+
+/** @type {?Map} fileHits - Maps cache paths to the number of requests for them, as counted by {@link fileBackend}, once loaded from {@link popularPath} */
+let fileHits = null;
+
+/**
+ *  Loads the number of requests for each cache path counted by {@link fileBackend} from {@link popularPath}, the first time they're needed
+ *
+ *  @async
+ *  @function loadFileHits
+ *  @returns {Promise<Map>} Resolves to {@link fileHits}
+ */
+
+const loadFileHits = async () => {
+  if (fileHits === null) {
+    try {
+      fileHits = new Map(Object.entries(JSON.parse(await fs.promises.readFile(popularPath, 'utf8'))));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read cache popularity file "${popularPath}":`, err);
+      fileHits = new Map();
+    }
+  }
+
+  return fileHits;
+};
+
+/** @constant {Map} fileStats - Maps each route family and cache read outcome (e.g. 'videos/query|hits') to the number of reads with that outcome, as counted in memory by {@link fileBackend} since this instance started */
+const fileStats = new Map();
+
+/**
+ *  Lists every cache file under a directory, recursively, leaving out the files {@link fileBackend} uses to keep track of invalidations, popularity, and locks
+ *
+ *  @async
+ *  @function listCacheFiles
+ *  @param {string} dir - The directory to list, prefixed with '.cache' (e.g. '.cache/v1/videos')
+ *  @returns {Promise<string[]>} Resolves to the paths of every cache file under {@link dir}
+ */
+
+const listCacheFiles = async (dir) => {
+  let dirents;
+
+  try {
+    dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+    throw err;
+  }
+
+  const paths = await Promise.all(dirents.map((dirent) => {
+    const path = `${dir}/${dirent.name}`;
+    if (dirent.isDirectory()) return listCacheFiles(path);
+    return !dirent.name.startsWith('.') && dirent.name.endsWith('.json') ? [ path ] : [];
+  }));
+
+  return paths.flat();
+};
+
+/** @constant {Object} fileBackend - Stores each cache entry as a JSON file, at the path of the request it caches, which is only shared by instances of node on the same machine, and never evicted, keeps the time each cache path prefix was last invalidated in {@link markersPath}, and the cache interval in {@link intervalPath}, locks entries being revalidated with lock files next to them, and counts requests for each entry, and cache reads for each route family, in memory, saving requests to {@link popularPath} whenever the most popular entries are listed */
+const fileBackend = {
+  name: 'file',
+
+  read: async (path) => {
+    path = filePath(path);
+
+    try {
+      const [ stats, contents ] = await Promise.all([ fs.promises.stat(path), fs.promises.readFile(path, 'utf8') ]);
+      return { written: stats.mtimeMs, data: JSON.parse(contents) };
+    } catch (err) {
+      if (err.code === 'ENOENT') console.log(`Cache file does not exist: ${path}`);
+      else console.error(`Failed to read cache file "${path}":`, err);
+      return null;
+    }
+  },
+
+  write: async (path, data) => {
+    path = filePath(path);
+    await fs.promises.mkdir(path.split('/').slice(0, -1).join('/'), { recursive: true });
+    await fs.promises.writeFile(path, JSON.stringify(data));
+  },
+
+  remove: async (path) => {
+    const stats = await fs.promises.stat(filePath(path)).catch(() => null);
+    if (stats === null) return false;
+    await fs.promises.rm(filePath(path), { force: true });
+    return true;
+  },
+
+  entries: async (prefix) => {
+    const paths = await listCacheFiles([ '.cache', ...prefix.split('/').slice(0, -1) ].join('/'));
+
+    const entries = await Promise.all(paths
+      .filter((path) => path.startsWith(`.cache/${prefix}`))
+      .map((path) => fs.promises.stat(path).then((stats) => ({ path, written: stats.mtimeMs, size: stats.size }), () => null)));
+
+    return entries.filter(Boolean);
+  },
+
+  count: async (family, outcome) => {
+    const field = `${family}|${outcome}`;
+    fileStats.set(field, (fileStats.get(field) || 0) + 1);
+  },
+
+  stats: async () => Object.fromEntries(fileStats),
+
+  markers: async (prefixes) => {
+    try {
+      const markers = JSON.parse(await fs.promises.readFile(markersPath, 'utf8'));
+      return prefixes.map((prefix) => markers[prefix] || null);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read cache invalidation file "${markersPath}":`, err);
+      return prefixes.map(() => null);
+    }
+  },
+
+  mark: async (prefixes, time) => {
+    let markers = {};
+
+    try {
+      markers = JSON.parse(await fs.promises.readFile(markersPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    prefixes.forEach((prefix) => { markers[prefix] = time; });
+    markers = Object.fromEntries(Object.entries(markers).filter(([ prefix, marked ]) => time - marked <= cacheTtl * 1000));
+    await fs.promises.mkdir('.cache', { recursive: true });
+    await fs.promises.writeFile(markersPath, JSON.stringify(markers));
+  },
+
+  interval: async () => {
+    try {
+      return Number(JSON.parse(await fs.promises.readFile(intervalPath, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read cache interval file "${intervalPath}":`, err);
+      return null;
+    }
+  },
+
+  setInterval: async (interval) => {
+    await fs.promises.mkdir('.cache', { recursive: true });
+    await fs.promises.writeFile(intervalPath, JSON.stringify(interval));
+  },
+
+  lock: async (path) => {
+    const lockPath = `${filePath(path)}.lock`;
+    await fs.promises.mkdir(lockPath.split('/').slice(0, -1).join('/'), { recursive: true });
+
+    try {
+      await (await fs.promises.open(lockPath, 'wx')).close();
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stats = await fs.promises.stat(lockPath);
+      if ((Date.now() - stats.mtimeMs) / 1000 <= cacheLockTtl) return false;
+      await fs.promises.utimes(lockPath, new Date(), new Date());
+      return true;
+    }
+  },
+
+  unlock: async (path) => {
+    await fs.promises.rm(`${filePath(path)}.lock`, { force: true });
+  },
+
+  hit: async (path) => {
+    const hits = await loadFileHits();
+    hits.set(path, (hits.get(path) || 0) + 1);
+  },
+
+  popular: async (limit) => {
+    const popular = [ ...(await loadFileHits()) ].sort((a, b) => b[1] - a[1]).slice(0, maxPopularPaths);
+    fileHits = new Map(popular);
+    await fs.promises.mkdir('.cache', { recursive: true });
+    await fs.promises.writeFile(popularPath, JSON.stringify(Object.fromEntries(popular)));
+    return popular.slice(0, limit).map(([ path ]) => path);
+  }
+};
+
+/**
+ *  Reads the value stored under a cache entry's Redis key, which is either the entry itself, with its compressed data as 'z', or, for an entry split into chunks, a manifest with the ID of its chunks as 'c' and their number as 'n', along with the time it was written as 't'
+ *
+ *  @async
+ *  @function readRedisEntry
+ *  @param {string} key - The namespaced Redis key of the cache entry
+ *  @returns {Promise<?Object>} The entry or its manifest, or null if there is no such entry
+ */
+
+const readRedisEntry = async (key) => {
+  const { db } = require('./batch');
+  const value = await db.get(key);
+  if (value === null || typeof value === 'undefined') return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ *  Lists the Redis keys of the chunks of a cache entry that was split into chunks
+ *
+ *  @function chunkKeys
+ *  @param {string} key - The namespaced Redis key of the cache entry
+ *  @param {Object} entry - The entry's manifest, as read by {@link readRedisEntry}
+ *  @returns {string[]} The Redis key of each chunk, in order, or an empty list if the entry wasn't split into chunks
+ */
+
+const chunkKeys = (key, entry) => entry && entry.c ? Array.from({ length: entry.n }, (_, i) => `${key}:chunk:${entry.c}:${i}`) : [];
+
+/**
+ *  Removes a cache entry from Redis, along with its chunks, its size, the time it was written, and its place in the order in which entries are evicted
+ *
+ *  @async
+ *  @function removeRedisEntry
+ *  @requires readRedisEntry
+ *  @requires chunkKeys
+ *  @param {string} key - The namespaced Redis key of the cache entry
+ *  @returns {Promise<boolean>} True if the entry existed, else false
+ */
+
+const removeRedisEntry = async (key) => {
+  const { db } = require('./batch');
+  const entry = await readRedisEntry(key).catch(() => null);
+  await Promise.all(chunkKeys(key, entry).map((chunk) => db.del(chunk)));
+  const [ deleted ] = await Promise.all([ db.del(key), db.hDel(`${cacheNamespace}:sizes`, key), db.hDel(`${cacheNamespace}:written`, key), db.zRem(`${cacheNamespace}:lru`, key) ]);
+  return Number(deleted) > 0;
+};
+
+/**
+ *  Evicts the least recently used cache entries from Redis until the total size of every entry is within {@link cacheMaxBytes}, where entries that have already expired still count towards the total until they're evicted, which, since they haven't been used since, they're among the first to be
+ *
+ *  @async
+ *  @function evictRedisEntries
+ *  @requires removeRedisEntry
+ *  @param {string} keep - The namespaced Redis key of an entry that is never evicted, because it was just written
+ *  @sideEffects Removes cache entries from Redis
+ */
+
+const evictRedisEntries = async (keep) => {
+  const { db } = require('./batch');
+  const sizes = await db.hGetAll(`${cacheNamespace}:sizes`);
+  let total = Object.values(sizes).reduce((sum, size) => sum + (Number(size) || 0), 0);
+
+  while (total > cacheMaxBytes) {
+    const oldest = (await db.zRange(`${cacheNamespace}:lru`, 0, 9)).filter((key) => key !== keep);
+    if (oldest.length === 0) break;
+
+    for (const key of oldest) {
+      if (total <= cacheMaxBytes) break;
+      await removeRedisEntry(key);
+      total -= Number(sizes[key]) || 0;
+      console.log(`› Evicted least recently used cache entry ${key}.`);
+    }
+  }
+};
+
+/** @constant {Object} redisBackend - Stores each cache entry as a gzipped JSON value in Upstash Redis, through {@link batch.db}, under a namespaced key that expires after its TTL, split into chunks of up to {@link cacheMaxEntryBytes} for larger entries, and evicts the least recently used entries once they're larger than {@link cacheMaxBytes} in total, and keeps the time each entry was written and its size, the time each cache path prefix was last invalidated, the cache interval, locks on entries being revalidated, the number of requests for each entry, and the number of cache reads for each route family under their own namespaced keys, shared by every instance */
+const redisBackend = {
+  name: 'redis',
+
+  read: async (path) => {
+    const { db } = require('./batch');
+    const key = redisKey(path);
+
+    try {
+      const entry = await readRedisEntry(key);
+      if (entry === null) return null;
+      let compressed = entry.z;
+
+      if (entry.c) {
+        const chunks = [];
+
+        for (const chunk of chunkKeys(key, entry)) {
+          const value = await db.get(chunk);
+          if (value === null || typeof value === 'undefined') return null;
+          chunks.push(value);
+        }
+
+        compressed = chunks.join('');
+      }
+
+      db.zAdd(`${cacheNamespace}:lru`, Date.now(), key).catch((err) => console.error(`Failed to record use of cache key "${key}":`, err));
+      return { written: entry.t, data: JSON.parse(zlib.gunzipSync(Buffer.from(compressed, 'base64')).toString('utf8')) };
+    } catch (err) {
+      console.error(`Failed to read cache key "${key}":`, err);
+      return null;
+    }
+  },
+
+  write: async (path, data, ttl) => {
+    const { db } = require('./batch');
+    const key = redisKey(path), written = Date.now();
+    const compressed = zlib.gzipSync(JSON.stringify(data)).toString('base64');
+    const opts = ttl ? { ex: ttl } : undefined;
+
+    if (compressed.length > cacheMaxBytes) {
+      console.error(`[ERROR] Cache entry for ${path} is ${compressed.length} bytes compressed, over the ${cacheMaxBytes} byte limit of the whole cache (CACHE_MAX_BYTES), so it won't be cached.`);
+      await removeRedisEntry(key);
+      return;
+    }
+
+    const previous = await readRedisEntry(key).catch(() => null);
+
+    if (compressed.length <= cacheMaxEntryBytes) {
+      await db.set(key, JSON.stringify({ t: written, z: compressed }), opts);
+    } else {
+      const entry = { t: written, c: crypto.randomBytes(8).toString('hex'), n: Math.ceil(compressed.length / cacheMaxEntryBytes) };
+      const chunks = chunkKeys(key, entry);
+
+      for (let i = 0; i < chunks.length; i++)
+        await db.set(chunks[i], JSON.stringify(compressed.slice(i * cacheMaxEntryBytes, (i + 1) * cacheMaxEntryBytes)), opts);
+
+      await db.set(key, JSON.stringify(entry), opts);
+    }
+
+    await Promise.all(chunkKeys(key, previous).map((chunk) => db.del(chunk)));
+    await Promise.all([ db.hSet(`${cacheNamespace}:sizes`, key, compressed.length), db.hSet(`${cacheNamespace}:written`, key, written), db.zAdd(`${cacheNamespace}:lru`, written, key) ]);
+    await evictRedisEntries(key);
+  },
+
+  remove: async (path) => removeRedisEntry(redisKey(path)),
+
+  entries: async (prefix) => {
+    const { db } = require('./batch');
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [ next, batch ] = await db.scan(cursor, `${cacheNamespace}:${prefix}*`);
+      keys.push(...batch.filter((key) => key.endsWith('.json')));
+      cursor = next;
+    } while (cursor !== '0');
+
+    const [ sizes, written ] = await Promise.all([ db.hGetAll(`${cacheNamespace}:sizes`), db.hGetAll(`${cacheNamespace}:written`) ]);
+    const lengths = await Promise.all(keys.map((key) => typeof sizes[key] === 'undefined' ? db.strLen(key) : Number(sizes[key])));
+
+    return keys.map((key, i) => ({
+      path: `.cache/${key.slice(cacheNamespace.length + 1)}`,
+      written: typeof written[key] === 'undefined' ? null : Number(written[key]),
+      size: lengths[i]
+    })).filter(({ size }) => size > 0);
+  },
+
+  interval: async () => {
+    const { db } = require('./batch');
+    const interval = await db.get(`${cacheNamespace}:interval`);
+    return interval === null || typeof interval === 'undefined' ? null : Number(interval);
+  },
+
+  setInterval: async (interval) => {
+    const { db } = require('./batch');
+    await db.set(`${cacheNamespace}:interval`, interval);
+  },
+
+  count: async (family, outcome) => {
+    const { db } = require('./batch');
+    await db.hIncrBy(`${cacheNamespace}:stats`, `${family}|${outcome}`, 1);
+  },
+
+  stats: async () => {
+    const { db } = require('./batch');
+    return db.hGetAll(`${cacheNamespace}:stats`);
+  },
+
+  markers: async (prefixes) => {
+    const { db } = require('./batch');
+
+    try {
+      return (await Promise.all(prefixes.map((prefix) => db.get(`${cacheNamespace}:invalidated:${prefix}`)))).map((marked) => marked ? Number(marked) : null);
+    } catch (err) {
+      console.error(`Failed to read cache invalidation keys for "${prefixes[prefixes.length - 1]}":`, err);
+      return prefixes.map(() => null);
+    }
+  },
+
+  mark: async (prefixes, time) => {
+    const { db } = require('./batch');
+    await Promise.all(prefixes.map((prefix) => db.set(`${cacheNamespace}:invalidated:${prefix}`, time, { ex: cacheTtl })));
+  },
+
+  lock: async (path) => {
+    const { db } = require('./batch');
+    return Boolean(await db.set(`${redisKey(path)}:lock`, String(process.pid), { nx: true, ex: cacheLockTtl }));
+  },
+
+  unlock: async (path) => {
+    const { db } = require('./batch');
+    await db.del(`${redisKey(path)}:lock`);
+  },
+
+  hit: async (path) => {
+    const { db } = require('./batch');
+    await db.zIncrBy(`${cacheNamespace}:popular`, 1, path);
+  },
+
+  popular: async (limit) => {
+    const { db } = require('./batch');
+    await db.zRemRangeByRank(`${cacheNamespace}:popular`, 0, -maxPopularPaths - 1);
+    return db.zRevRange(`${cacheNamespace}:popular`, 0, limit - 1);
+  }
+};
+
+/** @constant {Map} backends - Maps the name of each cache backend, as set by the CACHE_BACKEND environment variable, to its implementation */
+const backends = new Map([
+  [ 'file', fileBackend ],
+  [ 'redis', redisBackend ]
+]);
+
+/** @constant {Object} backend - The cache backend in use, set by the CACHE_BACKEND environment variable, or {@link fileBackend} by default */
+const backend = backends.get(process.env.CACHE_BACKEND) || fileBackend;
+
+if (process.env.CACHE_BACKEND && !backends.has(process.env.CACHE_BACKEND))
+  console.error(`[ERROR] Unknown CACHE_BACKEND "${process.env.CACHE_BACKEND}", using the file cache instead. Valid backends are: ${[ ...backends.keys() ].map((b) => `"${b}"`).join(', ')}.`);
+
+/**
+ *  Revalidates a stale cache entry in the background, unless another instance is already revalidating it, logging, rather than throwing, any error
+ *
+ *  @async
+ *  @function revalidateEntry
+ *  @param {string} path - The request's URL, with query params
+ *  @param {Function} revalidate - An async function that retrieves the request's response fresh from Airtable and writes it to the cache
+ *  @returns {Promise<void>} A promise that resolves once the entry is revalidated, fails to be revalidated, or is being revalidated by another instance
+ */
+
+const revalidateEntry = async (path, revalidate) => {
+  try {
+    if (!(await module.exports.withLock(path, revalidate))) console.log(`› Cache entry is already being revalidated: ${path}`);
+    else console.log(`Cache revalidated: ${path}`);
+  } catch (err) {
+    console.error(`[ERROR] Cache revalidation failed: ${path}`, err);
+  }
+};
+
+/**
+ *  Counts a cache read as a hit, stale hit, or miss for the route family of its path, logging, rather than throwing, any error
+ *
+ *  @function countRead
+ *  @requires routeFamily
+ *  @param {string} path - The request's URL, with query params
+ *  @param {('hits'|'stale'|'misses')} outcome - The outcome of the cache read
+ */
+
+const countRead = (path, outcome) => {
+  backend.count(routeFamily(path), outcome).catch((err) => console.error(`Failed to count cache ${outcome} for "${path}":`, err));
+};
+
 module.exports = {
-  
+
   /**
-   *  Sets the cache interval (in integer seconds)
+   *  Sets the cache interval (in integer seconds) for every instance, through the cache backend, which the other instances read within {@link cacheIntervalRefresh} seconds
    *
+   *  @async
    *  @method setCacheInterval
    *  @param {number} interval - The number of seconds to set the cache interval to
+   *  @returns {Promise<void>} A promise that resolves once the interval is stored
    */
-  
-  setCacheInterval: (interval) => {
+
+  setCacheInterval: async (interval) => {
+    await backend.setInterval(interval);
     cacheInterval = interval;
+    cacheIntervalRead = Date.now();
   },
-  
+
+  /**
+   *  Reads the cache interval shared by every instance, if one has been set with {@link setCacheInterval}, at most once every {@link cacheIntervalRefresh} seconds, logging, rather than throwing, any error
+   *
+   *  @async
+   *  @method refreshCacheInterval
+   *  @returns {Promise<number>} Resolves to the cache interval, in seconds
+   */
+
+  refreshCacheInterval: async () => {
+    if (Date.now() - cacheIntervalRead < cacheIntervalRefresh * 1000) return cacheInterval;
+    cacheIntervalRead = Date.now();
+
+    try {
+      const interval = await backend.interval();
+      if (interval !== null && !isNaN(interval)) cacheInterval = interval;
+    } catch (err) {
+      console.error('Failed to read the shared cache interval:', err);
+    }
+
+    return cacheInterval;
+  },
+
+  /**
+   *  Returns the cache interval (in integer seconds), after which cached responses are no longer fresh
+   *
+   *  @method getCacheInterval
+   *  @returns {number} The cache interval, in seconds
+   */
+
+  getCacheInterval: () => cacheInterval,
+
+  /**
+   *  Returns the name of the cache backend in use
+   *
+   *  @method backendName
+   *  @returns {('file'|'redis')} The name of the cache backend in use
+   */
+
+  backendName: () => backend.name,
+
   /**
-   *  Uses a request's path to write a response as a file to the cache
+   *  Uses a request's path to write a response to the cache, logging, rather than throwing, any error, so that a failed cache write never fails a request
    *
+   *  @async
    *  @method writeCacheWithPath
    *  @param {string} path - The request's URL, with query params
    *  @param {Object} data - The response, as a Javascript Object, from the request
+   *  @param {Object} [options={}] - Options for the cache entry
+   *  @param {number} [options.ttl] - The number of seconds after which the entry is evicted from Redis ({@link cacheTtl} by default), or 0 to keep it until it's overwritten, which is ignored by the file backend
+   *  @returns {Promise<void>} A promise that resolves once the entry is written, or fails to be written
    */
-  
-  writeCacheWithPath: (path, data) => {
-    const queryPath = path.replace('?', '/');
-    
-    `/${queryPath}`
-      .split('/')
-      .splice(0, `/${queryPath}`.split('/').length - 1)
-      .reduce((p, c) => {
-        p += `${c}/`;
-        !fs.existsSync(p) && fs.mkdirSync(p);
-        return p;
-      });
-
-    fs.writeFile(queryPath, JSON.stringify(data), (err) => {
-      if (err) throw new Error(err);
-      else console.log(`Cache write succeeded: ${path}`);
-    });
+
+  writeCacheWithPath: async (path, data, { ttl = cacheTtl } = {}) => {
+    try {
+      await backend.write(path, data, ttl);
+      console.log(`Cache write succeeded: ${path}`);
+    } catch (err) {
+      console.error(`[ERROR] Cache write failed: ${path}`, err);
+    }
   },
-  
+
   /**
-   *  Uses a request's path to read a file from the cache if it exists or is still fresh
+   *  Uses a request's path to read a response from the cache if it exists and is still fresh
    *
-   *  @method writeCacheWithPath
+   *  @async
+   *  @method readCacheWithPath
    *  @param {string} path - The request's URL, with query params
-   *  @returns {?Object} Returns cache JSON data as an object if it exists and is still fresh, else null
+   *  @param {boolean} [stale=true] - Whether or not to treat entries older than {@link cacheInterval}, or written before their path was last invalidated with {@link invalidate}, as missing
+   *  @param {Function} [revalidate=null] - An async function that retrieves the request's response fresh from Airtable and writes it to the cache, which, if passed, counts the request for warming the cache, and returns entries older than {@link cacheInterval}, but not older than {@link cacheTtl}, while revalidating them in the background, rather than treating them as missing
+   *  @sideEffects If {@link stale} is true, counts the read as a hit, stale hit, or miss for the route family of {@link path}
+   *  @returns {Promise<?Object>} Resolves to the cached data as an object if it exists and, if {@link stale} is true, is still fresh, or can be revalidated, else null
    */
-  
-  readCacheWithPath: (path, stale = true) => {
-    path = path.replace('?', '/');
 
-    if (!fs.existsSync(path)) {
-      console.log(`Cache file does not exist: ${path}`);
+  readCacheWithPath: async (path, stale = true, revalidate = null) => {
+    if (revalidate) backend.hit(path).catch((err) => console.error(`Failed to count request for cache entry "${path}":`, err));
+    const [ entry, invalidated ] = await Promise.all([ backend.read(path), stale ? module.exports.invalidatedAt(path) : null, stale ? module.exports.refreshCacheInterval() : null ]);
+
+    if (entry === null) {
+      if (stale) countRead(path, 'misses');
       return null;
     }
 
-    if (stale) {
-      const cachedTime = fs.statSync(path).ctime;
-      stale = (new Date().getTime() - cachedTime) / 1000 > cacheInterval;
-      if (stale) return null;
+    if (stale && invalidated !== null && entry.written <= invalidated) {
+      console.log(`Cache entry was invalidated: ${path}`);
+      countRead(path, 'misses');
+      return null;
+    }
+
+    const age = (Date.now() - entry.written) / 1000;
+
+    if (stale && age > cacheInterval) {
+      if (!revalidate || age > cacheTtl) {
+        countRead(path, 'misses');
+        return null;
+      }
+
+      console.log(`Cache entry is stale, returning it while revalidating: ${path}`);
+      countRead(path, 'stale');
+      revalidateEntry(path, revalidate);
+    } else if (stale) {
+      countRead(path, 'hits');
+    }
+
+    return entry.data;
+  },
+
+  /**
+   *  Runs a task while holding a lock on a cache entry, shared by every instance that shares the cache, so that only one instance refreshes an entry, or warms the cache, at a time
+   *
+   *  @async
+   *  @method withLock
+   *  @param {string} path - The request's URL, with query params, or any other cache path to lock
+   *  @param {Function} task - An async function to run while holding the lock
+   *  @returns {Promise<boolean>} Resolves to true once {@link task} has run, or false, without running it, if the entry is already locked
+   *  @throws Will throw any error thrown by {@link task}, after releasing the lock
+   */
+
+  withLock: async (path, task) => {
+    if (!(await backend.lock(path))) return false;
+
+    try {
+      await task();
+      return true;
+    } finally {
+      await backend.unlock(path);
     }
+  },
+
+  /**
+   *  Lists the cache paths of the most requested responses that can be revalidated, most requested first, for warming the cache
+   *
+   *  @async
+   *  @method popularPaths
+   *  @param {number} limit - The maximum number of cache paths to list
+   *  @returns {Promise<string[]>} Resolves to the cache paths of the most requested responses
+   */
 
+  popularPaths: async (limit) => {
     try {
-      return JSON.parse(fs.readFileSync(path, 'utf8'));
+      return await backend.popular(limit);
     } catch (err) {
-      console.error(`Failed to read cache file "${path}":`, err);
-      return null;
+      console.error('[ERROR] Unable to list the most popular cache entries.', err);
+      return [];
     }
+  },
+
+  /**
+   *  Marks every cache entry under one or more cache path prefixes as stale, so that the next request for any of them is loaded fresh from Airtable, logging, rather than throwing, any error
+   *
+   *  @async
+   *  @method invalidate
+   *  @param {string[]} prefixes - Cache path prefixes, without '.cache/' (e.g. [ 'v1/videos/query', 'v1/videos/recXXXXXXXXXXXXXX' ])
+   *  @returns {Promise<void>} A promise that resolves once the prefixes are marked, or fail to be marked
+   */
+
+  invalidate: async (prefixes) => {
+    if (prefixes.length === 0) return;
+
+    try {
+      await backend.mark(prefixes, Date.now());
+      console.log(`Cache invalidated: ${prefixes.join(', ')}`);
+    } catch (err) {
+      console.error(`[ERROR] Cache invalidation failed: ${prefixes.join(', ')}`, err);
+    }
+  },
+
+  /**
+   *  Returns the last time any prefix of a cache path was invalidated with {@link invalidate}
+   *
+   *  @async
+   *  @method invalidatedAt
+   *  @requires pathPrefixes
+   *  @param {string} path - The request's URL, with query params
+   *  @returns {Promise<?number>} Resolves to the time, in milliseconds since the Unix epoch, the path was last invalidated, or null if it hasn't been
+   */
+
+  invalidatedAt: async (path) => {
+    const marked = (await backend.markers(pathPrefixes(path))).filter((time) => time !== null);
+    return marked.length > 0 ? Math.max(...marked) : null;
+  },
+
+  /**
+   *  Lists every cache entry whose key starts with a prefix, most recently written first
+   *
+   *  @async
+   *  @method listEntries
+   *  @param {string} [prefix=''] - A cache key prefix, without '.cache/' (e.g. 'v1/videos/query')
+   *  @returns {Promise<Object[]>} Resolves to a list of cache entries, each with its key (e.g. 'v1/videos/query/1/pageSize=10'), the time it was written, in milliseconds since the Unix epoch, or null if the backend doesn't know, and its size, in bytes, as stored by the backend
+   */
+
+  listEntries: async (prefix = '') => {
+    const entries = await backend.entries(prefix);
+
+    return entries
+      .map(({ path, written, size }) => ({ key: path.replace(/^\.cache\//, '').replace(/\.json$/, ''), written, size }))
+      .sort((a, b) => (b.written || 0) - (a.written || 0));
+  },
+
+  /**
+   *  Removes cache entries, so that the next request for any of them is loaded fresh from Airtable
+   *
+   *  @async
+   *  @method removeEntries
+   *  @param {string[]} keys - Cache keys, as listed by {@link listEntries}
+   *  @returns {Promise<number>} Resolves to the number of entries that existed and were removed
+   */
+
+  removeEntries: async (keys) => {
+    const removed = await Promise.all(keys.map((key) => backend.remove(`.cache/${key}.json`)));
+    if (keys.length > 0) console.log(`Cache entries removed: ${keys.join(', ')}`);
+    return removed.filter(Boolean).length;
+  },
+
+  /**
+   *  Reports the number of cache hits, stale hits, and misses for each route family, along with their hit ratio, where stale hits count as hits
+   *
+   *  @async
+   *  @method cacheStats
+   *  @returns {Promise<Object>} Resolves to an object mapping each route family (e.g. 'videos/query', 'videos/:id') to its number of hits, stale hits, misses, and hit ratio
+   */
+
+  cacheStats: async () => {
+    const families = {};
+
+    Object.entries(await backend.stats()).forEach(([ field, count ]) => {
+      const [ family, outcome ] = field.split('|');
+      if (!families[family]) families[family] = { hits: 0, stale: 0, misses: 0 };
+      families[family][outcome] = Number(count) || 0;
+    });
+
+    Object.values(families).forEach((family) => {
+      const reads = family.hits + family.stale + family.misses;
+      family.hitRatio = reads > 0 ? Number(((family.hits + family.stale) / reads).toFixed(4)) : null;
+    });
+
+    return families;
   }
 };
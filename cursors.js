@@ -0,0 +1,143 @@
+/**
+ *  @file Opaque cursors for paginating ESOVDB query endpoints one Airtable page at a time, which encode an Airtable offset, the offsets of previous pages, and a fingerprint of the query they belong to
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module cursors
+ */
+
+const crypto = require('crypto');
+
+/** @constant {number} cursorVersion - The version of the cursor format, so that cursors from older versions of the API can be rejected, rather than misread */
+const cursorVersion = 1;
+
+/** @constant {number} maxCursorHistory - The maximum number of previous pages' offsets a cursor remembers, beyond which the oldest pages can no longer be reached with 'prevCursor' (the first page can always be reached by starting over) */
+const maxCursorHistory = 100;
+
+/** @constant {number} maxCursorLength - The maximum length, in characters, of a cursor sent in the URL query params */
+const maxCursorLength = 8192;
+
+/**
+ *  Creates an error for an invalid or mismatched cursor, which can be sent to the client with a 400 status
+ *
+ *  @function cursorError
+ *  @param {string} message - A description of what is wrong with the cursor
+ *  @returns {Error} An error with a 400 status and the code 'INVALID_CURSOR'
+ */
+
+const cursorError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_CURSOR';
+  return err;
+};
+
+/**
+ *  Encodes the state of a page of results as an opaque, URL-safe cursor
+ *
+ *  @function encodeCursor
+ *  @param {?string} offset - The Airtable offset of the page the cursor points to, or null for the first page
+ *  @param {Array<?string>} history - The Airtable offsets of every page before the page the cursor points to, oldest first
+ *  @param {string} fingerprint - The fingerprint of the query the cursor belongs to, from {@link queryFingerprint}
+ *  @returns {string} A base64url-encoded cursor
+ */
+
+const encodeCursor = (offset, history, fingerprint) =>
+  Buffer.from(JSON.stringify({ v: cursorVersion, o: offset, h: history.slice(-maxCursorHistory), f: fingerprint })).toString('base64url');
+
+module.exports = {
+  /**
+   *  Creates a fingerprint of the filter state of a query (i.e. all of its URL query params, except for the cursor itself), so that a cursor can't be used with a different query than the one it came from
+   *
+   *  @method queryFingerprint
+   *  @param {Object} query - The URL query params of an [http request]{@link req}
+   *  @param {('videos'|'submissions')} kind - The kind of records being queried
+   *  @returns {string} A short hash of {@link kind} and {@link query}
+   */
+
+  queryFingerprint: (query, kind) => {
+    const state = Object.keys(query).filter((key) => key !== 'cursor').sort().map((key) => [ key, query[key] ]);
+    return crypto.createHash('sha256').update(JSON.stringify([ kind, state ])).digest('base64url').slice(0, 16);
+  },
+
+  /**
+   *  Decodes and validates a cursor sent in the URL query params, where an empty cursor starts a new crawl from the first page
+   *
+   *  @method decodeCursor
+   *  @param {*} value - The value of the 'cursor' URL query param
+   *  @param {string} fingerprint - The fingerprint of the current query, from {@link queryFingerprint}
+   *  @returns {Object} The Airtable offset of the requested page as 'offset' (null for the first page), and the offsets of every page before it as 'history'
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_CURSOR' if {@link value} is malformed, from another version of the API, or from a different query
+   */
+
+  decodeCursor: (value, fingerprint) => {
+    if (typeof value !== 'string') throw cursorError(`"cursor" can only be specified once.`);
+    if (value === '') return { offset: null, history: [] };
+    if (value.length > maxCursorLength) throw cursorError(`"cursor" is too long.`);
+
+    let cursor;
+
+    try {
+      cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (err) {
+      throw cursorError(`"cursor" is malformed.  Use a cursor exactly as it was sent in a previous response.`);
+    }
+
+    if (!cursor || cursor.v !== cursorVersion || typeof cursor.o !== 'string' || !Array.isArray(cursor.h))
+      throw cursorError(`"cursor" is malformed.  Use a cursor exactly as it was sent in a previous response.`);
+
+    if (cursor.f !== fingerprint)
+      throw cursorError(`"cursor" belongs to a different query.  Send the same query params as the request that returned it, or start over without a cursor.`);
+
+    return { offset: cursor.o, history: cursor.h };
+  },
+
+  /**
+   *  Builds the cursors for the pages before and after the current page of results
+   *
+   *  @method pageCursors
+   *  @requires encodeCursor
+   *  @param {Object} page - The current page, as decoded by {@link decodeCursor}
+   *  @param {?string} page.offset - The Airtable offset of the current page, or null for the first page
+   *  @param {Array<?string>} page.history - The Airtable offsets of every page before the current page, oldest first
+   *  @param {?string} nextOffset - The Airtable offset of the next page, or null if the current page is the last
+   *  @param {string} fingerprint - The fingerprint of the current query, from {@link queryFingerprint}
+   *  @returns {Object} The cursor of the next page as 'nextCursor', and of the previous page as 'prevCursor', either of which is null if there is no such page; the previous cursor of the second page is an empty string, which starts over from the first page
+   */
+
+  pageCursors: ({ offset, history }, nextOffset, fingerprint) => {
+    let prevCursor = null;
+
+    if (history.length > 0) {
+      const prevOffset = history[history.length - 1];
+      prevCursor = prevOffset === null ? '' : encodeCursor(prevOffset, history.slice(0, -1), fingerprint);
+    }
+
+    return {
+      nextCursor: nextOffset ? encodeCursor(nextOffset, [ ...history, offset ], fingerprint) : null,
+      prevCursor
+    };
+  },
+
+  /**
+   *  Builds an RFC 8288 Link header value with links to the next and previous pages of a query's results
+   *
+   *  @method linkHeader
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {Object} cursors - The cursors of the next and previous pages, as built by {@link pageCursors}
+   *  @returns {?string} The value of a Link header, or null if there are no other pages
+   */
+
+  linkHeader: (req, { nextCursor, prevCursor }) => {
+    const link = (cursor, rel) => {
+      const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+      url.searchParams.set('cursor', cursor);
+      return `<${url.href}>; rel="${rel}"`;
+    };
+
+    const links = [
+      nextCursor !== null ? link(nextCursor, 'next') : null,
+      prevCursor !== null ? link(prevCursor, 'prev') : null
+    ].filter(Boolean);
+
+    return links.length > 0 ? links.join(', ') : null;
+  }
+};
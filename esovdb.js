@@ -11,7 +11,16 @@ const Airtable = require('airtable');
 const axios = require('axios');
 const Bottleneck = require('bottleneck');
 const cache = require('./cache');
+const search = require('./search');
+const graphql = require('./graphql');
+const { toCSV, toGeoJSON, toKML, toBibTeX, toRIS, toCSLJSON, toXML, toRSS, toAtom, toJSONLD, toNDJSON } = require('./formats');
+const { parseVideoFilters, videoFiltersToFormula, matchesVideoFilters } = require('./filters');
+const { parseSort, parseFields, projectFields } = require('./fields');
+const { queryFingerprint, decodeCursor, pageCursors, linkHeader } = require('./cursors');
+const { parseFacets, countFacets } = require('./facets');
 const { db } = require('./batch');
+const { bypassesCache } = require('./plans');
+const { collectionFields } = require('./mappings');
 const {
   formatDuration,
   formatDate,
@@ -19,7 +28,10 @@ const {
   sleep,
   normalizePublishedAfter,
   inferWatchlistTypeFromId,
-  escapeAirtableFormulaString
+  escapeAirtableFormulaString,
+  escapeRegExp,
+  regexYT,
+  regexYTVideoId
 } = require('./util');
 
 const base = new Airtable({
@@ -305,17 +317,23 @@ const readSmartFilterDryRun = async (dryRunId) => {
 /** @constant {number} airtableRateLimit - Minimum time in ms to wait between requests using {@link Bottleneck} (default: 201ms ⋍ just under 5 req/s) */
 const airtableRateLimit = 1005 / 5;
 
-/** @constant {RegExp} regexYT - Regular expression for matching and extracting a YouTube videoId from a URL or on its own */
-const regexYT = /^(?!rec)(?![\w\-]{12,})(?:.*youtu\.be\/|.*v=)?([\w\-]{10,12})&?.*$/;
-
-/** @constant {RegExp} regexYTVideoId - Regular expression for matching and extracting a YouTube videoId purely on its own */
-const regexYTVideoId = /[\w\-]{10,12}/;
-
 const rateLimiter = new Bottleneck({ minTime: airtableRateLimit });
 
+/** @constant {string[]} zoteroFields - List of fields that Airtable should retrieve for any format based on {@link videoFormat.toZoteroJSON} */
+const zoteroFields = [ 'Zotero Key', 'Zotero Version', 'Series Zotero Key', 'Title', 'URL', 'Year', 'Description', 'Running Time', 'Format', 'Topic', 'Tags', 'Learn More', 'Series Text', 'Series Count Text', 'Vol.', 'No.', 'Publisher Text', 'Presenter First Name', 'Presenter Last Name', 'Language Code', 'Location', 'Plus Code', 'Video Provider', 'ESOVDBID', 'Record ID', 'ISO Added', 'Created', 'Modified' ];
+
 /** @constant {Map} formatFields - Maps each format, as passed in the URL query params to a list of fields that Airtable should retrieve, for that format. */
 const formatFields = new Map([
-  [ 'zotero', [ 'Zotero Key', 'Zotero Version', 'Series Zotero Key', 'Title', 'URL', 'Year', 'Description', 'Running Time', 'Format', 'Topic', 'Tags', 'Learn More', 'Series Text', 'Series Count Text', 'Vol.', 'No.', 'Publisher Text', 'Presenter First Name', 'Presenter Last Name', 'Language Code', 'Location', 'Plus Code', 'Video Provider', 'ESOVDBID', 'Record ID', 'ISO Added', 'Created', 'Modified' ]],
+  [ 'zotero', zoteroFields ],
+  [ 'csv', zoteroFields ],
+  [ 'geojson', zoteroFields ],
+  [ 'kml', zoteroFields ],
+  [ 'bibtex', zoteroFields ],
+  [ 'ris', zoteroFields ],
+  [ 'csl-json', zoteroFields ],
+  [ 'xml', zoteroFields ],
+  [ 'jsonld', zoteroFields ],
+  [ 'ndjson', zoteroFields ],
   [ 'yt', [ 'YouTube Video ID', 'Record ID', 'ESOVDBID', 'Zotero Key', 'ISO Added' ]],
   [ 'youtube', [ 'YouTube Video ID', 'Record ID', 'ESOVDBID', 'Zotero Key', 'ISO Added' ]],
   [ 'youtubeSubmission', [ 'URL', 'Record ID', 'Created' ]]
@@ -405,35 +423,7 @@ const videoFormat = {
    *  @returns {Object} An ESOVDB video, formatted as a JavaScript Object based on the raw JSON response from Airtable, including all available fields.
    */
   
-   toJSON: (record) => ({ id: record.id, ...record._rawJson.fields }),
-  
-  /**
-   *  @method toCSV 
-   *  @todo Will eventually format an Airtable record class instance as a line in a CSV file to be included in a larger CSV response, i.e. with each field's value in order, separated by commas, and surrounded by double quotes, if the field's value contains a comma
-   */
-  
-//  toCSV: (record) => {},
-  
- /**
-  *  @method toXML
-  *  @todo Will eventually format an Airtable record class instance as an XML object to be included in a larger XML response
-  */
-  
-//   toXML: (video) => {},
-  
- /**
-  *  @method toKML
-  *  @todo Will eventually format an Airtable record class instance as an Google Earth KML object to be included in a larger Google Earth KML response, if the Airtable record has location data, such that the response can be imported into and plotted with Google Earth
-  */
-  
-//   toKML: (video) => {},
-  
- /**
-  *  @method toGeoJSON
-  *  @todo Will eventually format an Airtable record class instance as an GeoJSON Object, if the Airtable record has location data, such that the response can be used with GIS software
-  */
-  
-//   toGeoJSON: (video) => {}
+   toJSON: (record) => ({ id: record.id, ...record._rawJson.fields })
 }
 
 /**
@@ -451,6 +441,15 @@ const getFormat = (param = null, def = videoFormat.toZoteroJSON) => {
     case 'json':
       return videoFormat.toJSON;
     case 'zotero':
+    case 'csv':
+    case 'geojson':
+    case 'kml':
+    case 'bibtex':
+    case 'ris':
+    case 'csl-json':
+    case 'xml':
+    case 'jsonld':
+    case 'ndjson':
       return videoFormat.toZoteroJSON;
     case 'yt':
     case 'youtube':
@@ -462,11 +461,498 @@ const getFormat = (param = null, def = videoFormat.toZoteroJSON) => {
   }
 }
 
+/** @constant {Map} responseFormats - Maps each response format, as passed in the URL query params, to its content type, a method from the {@link formats} module that serializes an entire response, and whether or not the response can be streamed, a chunk of records at a time */
+const responseFormats = new Map([
+  [ 'csv', { contentType: 'text/csv; charset=utf-8', serialize: toCSV } ],
+  [ 'geojson', { contentType: 'application/geo+json; charset=utf-8', serialize: toGeoJSON } ],
+  [ 'kml', { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', serialize: toKML } ],
+  [ 'bibtex', { contentType: 'application/x-bibtex; charset=utf-8', serialize: toBibTeX } ],
+  [ 'ris', { contentType: 'application/x-research-info-systems; charset=utf-8', serialize: toRIS } ],
+  [ 'csl-json', { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', serialize: toCSLJSON } ],
+  [ 'xml', { contentType: 'application/xml; charset=utf-8', serialize: toXML } ],
+  [ 'jsonld', { contentType: 'application/ld+json; charset=utf-8', serialize: toJSONLD } ],
+  [ 'ndjson', { contentType: 'application/x-ndjson; charset=utf-8', serialize: toNDJSON, stream: true } ]
+]);
+
+/** @constant {string[]} fixedFieldFormats - Output formats of videos that are built from a fixed set of fields, and so can't be combined with the 'fields' URL query param */
+const fixedFieldFormats = [ 'yt', 'youtube', 'youtubeSubmission', 'geojson', 'kml', 'bibtex', 'ris', 'csl-json', 'xml', 'jsonld' ];
+
+/** @constant {string[]} expiredCursorErrors - Types of Airtable API errors returned for Airtable offsets that are no longer valid, which Airtable only keeps for a limited time */
+const expiredCursorErrors = [ 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE', 'INVALID_OFFSET_VALUE' ];
+
+/** @constant {number} searchIndexMaxAge - Time in ms after which the search index is refreshed from {@link updateLatest} before searching, matching the lifetime of cached query results */
+const searchIndexMaxAge = 1000 * 60 * 5;
+
+/** @constant {number} cacheWarmInterval - Time in seconds between warmings of the cache by {@link startCacheWarmer}, set by the CACHE_WARM_INTERVAL environment variable (default: 300s = 5m, minimum: 60s), or 0 to never warm the cache */
+const cacheWarmInterval = process.env.CACHE_WARM_INTERVAL === '0' ? 0 : Math.max(60, Number(process.env.CACHE_WARM_INTERVAL) || 60 * 5);
+
+/** @constant {number} cacheWarmCount - The number of the most popular cached responses that {@link warmCache} refreshes, if they're stale, set by the CACHE_WARM_COUNT environment variable (default: 10) */
+const cacheWarmCount = Number(process.env.CACHE_WARM_COUNT) || 10;
+
+/** @constant {Map} warmableRoutes - Maps the URL path of each kind of cached response that {@link warmCache} can refresh to the method of this module that retrieves it, and the name of the route param captured by the path, if any */
+const warmableRoutes = new Map([
+  [ /^\/v1\/videos\/query(?:\/(\d+))?$/, { method: 'queryVideos', param: 'pg' } ],
+  [ /^\/v1\/submissions\/query(?:\/(\d+))?$/, { method: 'querySubmissions', param: 'pg' } ],
+  [ /^\/v1\/videos\/(rec[\w]{14})$/, { method: 'getVideoById', param: 'id' } ]
+]);
+
+/** @type {?Timeout} cacheWarmTimer - The timer that runs {@link warmCache} every {@link cacheWarmInterval} seconds, once started by {@link startCacheWarmer} */
+let cacheWarmTimer = null;
+
+/** @constant {Map} linkedVideoParams - Maps each kind of ESOVDB record that videos are linked to by name to the URL query param of {@link queryVideos} that limits results to the videos linked to a single record of that kind, leaving out people, whose videos are matched by their linked record IDs instead, since the 'presenter' filter matches any part of any presenter's name */
+const linkedVideoParams = new Map([
+  [ 'series', 'series' ],
+  [ 'topics', 'topic' ],
+  [ 'tags', 'tag' ],
+  [ 'organizations', 'publisher' ]
+]);
+
+/** @constant {string[]} collectionFormats - Formats that can be used for series, topics, tags, people, and organizations, which, unlike videos, have no bibliographic or geographic formats */
+const collectionFormats = [ 'raw', 'json', 'csv', 'ndjson' ];
+
+/** @constant {RegExp} regexRecordId - Regular expression for validating an Airtable record ID */
+const regexRecordId = /^rec[\w]{14}$/;
+
+/** @constant {string[]} videoCachePaths - Prefixes of every cached response that includes videos, and so can include the name of any record linked to a video, including the videos linked to each series, topic, tag, person, and organization (e.g. 'v1/people/recXXXXXXXXXXXXXX/videos') */
+const videoCachePaths = [ 'v1/videos/query', 'v1/videos/youtube', 'v1/videos-submissions', ...[ ...collectionFields.keys() ].map((kind) => `v1/${kind}`) ];
+
+/** @constant {Map} invalidatedCachePaths - Maps the name of each ESOVDB table whose records are cached to a function that is passed the IDs of changed records from that table, and returns the prefixes of every cached response that could include them, for {@link invalidateRecords} */
+const invalidatedCachePaths = new Map([
+  [ 'Videos', (ids) => [ ...videoCachePaths, ...ids.map((id) => `v1/videos/${id}`) ] ],
+  [ 'Series', () => [ ...videoCachePaths, 'v1/series' ] ],
+  [ 'Topics', () => [ ...videoCachePaths, 'v1/topics' ] ],
+  [ 'Tags', () => [ ...videoCachePaths, 'v1/tags' ] ],
+  [ 'People', () => [ ...videoCachePaths, 'v1/people' ] ],
+  [ 'Organizations', () => [ ...videoCachePaths, 'v1/organizations' ] ],
+  [ 'Submissions', () => [ 'v1/submissions', 'v1/videos-submissions' ] ]
+]);
+
+/**
+ *  Validates a cache key, or cache key prefix, sent to the cache administration endpoints, which must be relative to the cache (e.g. 'v1/videos/query/1/pageSize=10'), so that it can't refer to files outside of it, or to the files the cache uses to keep track of itself
+ *
+ *  @function validateCacheKey
+ *  @param {*} value - The value of the 'key' or 'prefix' URL query param
+ *  @param {('key'|'prefix')} param - The name of the URL query param
+ *  @param {boolean} [allowEmpty=false] - Whether or not an empty value, which matches every cache entry, is valid
+ *  @throws Will throw an error with a 400 status and the code 'INVALID_CACHE_KEY' if {@link value} is not a relative cache key
+ */
+
+const validateCacheKey = (value, param, allowEmpty = false) => {
+  if (typeof value !== 'string' || (value === '' && !allowEmpty) || value.startsWith('/') || value.split('/').some((segment) => segment.startsWith('.')) || /[\\\0]/.test(value)) {
+    const err = new Error(`"${param}" must be a cache key${allowEmpty ? ' prefix' : ''} relative to the cache, as listed by GET /admin/cache (e.g. "v1/videos/query").`);
+    err.status = 400;
+    err.code = 'INVALID_CACHE_KEY';
+    throw err;
+  }
+};
+
+/** @constant {number} graphBatchSize - The maximum number of records to look up by ID or name in a single Airtable API call for a GraphQL query, which keeps formulas well under Airtable's URL length limit */
+const graphBatchSize = 25;
+
+/** @constant {number} graphMaxPages - The maximum number of pages of videos to retrieve from Airtable for a single list of videos in a GraphQL query, after which the list fails with an error, rather than being sent incomplete */
+const graphMaxPages = 10;
+
+/** @constant {number} streamChunkSize - The number of records to serialize and write to a streamed response at a time */
+const streamChunkSize = 100;
+
+/**
+ *  Determines the format of an entire response from the URL query parameter 'format', or from the request's 'Accept' header, if the URL query parameter 'format' is missing or only specifies the format of each record (e.g. 'raw' or 'yt')
+ *
+ *  @function getResponseFormat
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @returns {?string} The key of one of the {@link responseFormats}, or the value of the URL query parameter 'format', if the 'Accept' header doesn't ask for one of the {@link responseFormats}
+ */
+
+const getResponseFormat = (req) => {
+  const format = req.query && req.query.format ? req.query.format : null;
+  if (responseFormats.has(format)) return format;
+  if (req.headers && /application\/x-ndjson/i.test(req.headers.accept || '')) return 'ndjson';
+  return format;
+};
+
+/**
+ *  Returns whether or not {@link getResponseFormat} reads a request's 'Accept' header, because its URL query parameter 'format' doesn't already specify the format of the entire response
+ *
+ *  @function negotiatesFormat
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @returns {boolean} True if the format of the response can depend on the 'Accept' header, else false
+ */
+
+const negotiatesFormat = (req) => !responseFormats.has(req.query && req.query.format ? req.query.format : null);
+
+/**
+ *  Waits until a response's buffered data has been flushed to the client, or the client has disconnected, so that a streamed response never buffers more than one chunk in memory
+ *
+ *  @function drained
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @returns {Promise<void>} A promise that resolves when {@link res} emits either 'drain' or 'close'
+ */
+
+const drained = (res) => new Promise((resolve) => {
+  const next = () => {
+    res.off('drain', next);
+    res.off('close', next);
+    resolve();
+  };
+
+  res.on('drain', next);
+  res.on('close', next);
+});
+
+/**
+ *  Sets the Last-Modified header of an HTTP server response to the time the most recently modified ESOVDB record in it was modified, so that clients can make conditional requests with If-Modified-Since, unless none of its records include when they were modified (e.g. when the 'fields' URL query param leaves it out)
+ *
+ *  @function setLastModified
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {(Object|Object[])} data - A single ESOVDB record or array of ESOVDB records, already formatted as JavaScript objects, with the time each was modified as 'modified' or, in the 'raw' format, 'Modified'
+ */
+
+const setLastModified = (res, data) => {
+  const lastModified = [].concat(data).reduce((last, record) => {
+    const modified = record ? Date.parse(record.modified || record['Modified']) : NaN;
+    return !isNaN(modified) && (last === null || modified > last) ? modified : last;
+  }, null);
+
+  if (lastModified !== null) res.set('Last-Modified', new Date(lastModified).toUTCString());
+};
+
+/**
+ *  Sends ESOVDB data in an HTTP server response, serialized according to the URL query parameter 'format', if it maps to one of the {@link responseFormats}, or as JSON by default, with a Last-Modified header set by {@link setLastModified}
+ *
+ *  @function sendFormatted
+ *  @requires setLastModified
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {(Object|Object[])} data - A single ESOVDB record or array of ESOVDB records, already formatted as JavaScript objects
+ *  @param {string} [format=null] - The value of the URL query parameter 'format', sent with the request
+ *  @param {('videos'|'submissions')} [kind='videos'] - The kind of ESOVDB records in {@link data}, for response formats that represent videos and submissions differently (e.g. 'xml')
+ *  @returns {!express:Response} The Express.js HTTP response context, after sending
+ */
+
+const sendFormatted = (res, data, format = null, kind = 'videos') => {
+  const responseFormat = responseFormats.get(format);
+  setLastModified(res, data);
+  if (!responseFormat) return res.status(200).send(JSON.stringify(data));
+  if (responseFormat.stream) return streamFormatted(res, Array.isArray(data) ? data : [ data ], responseFormat, kind);
+  return res.status(200).type(responseFormat.contentType).send(responseFormat.serialize(Array.isArray(data) ? data : [ data ], kind));
+};
+
+/**
+ *  Retrieves a single page of records from an ESOVDB Airtable table, starting at a given Airtable offset, with one Airtable API call, since Airtable.js's eachPage() doesn't expose offsets to resume from
+ *
+ *  @async
+ *  @function fetchPage
+ *  @requires Airtable
+ *  @requires Bottleneck
+ *  @param {string} table - The name of an ESOVDB Airtable table (e.g. 'Videos')
+ *  @param {Object} options - Options for the Airtable API call, as they would be passed to Airtable.js's select() method
+ *  @param {?string} offset - The Airtable offset of the page to retrieve, or null for the first page
+ *  @returns {Promise<Object>} The page's records, as Airtable.js records, as 'records', and the Airtable offset of the next page, or null if this is the last page, as 'offset'
+ */
+
+const fetchPage = async (table, options, offset) => {
+  const params = new URLSearchParams();
+
+  for (const [ key, value ] of Object.entries(offset ? { ...options, offset } : options)) {
+    if (key === 'sort') value.forEach(({ field, direction }, i) => {
+      params.append(`sort[${i}][field]`, field);
+      if (direction) params.append(`sort[${i}][direction]`, direction);
+    });
+    else if (Array.isArray(value)) value.forEach((item) => params.append(`${key}[]`, item));
+    else params.append(key, value);
+  }
+
+  const { body } = await rateLimiter.schedule(() => base.makeRequest({ path: `/${encodeURIComponent(table)}?${params.toString()}` }));
+  return { records: body.records.map((record) => new Airtable.Record(base(table), null, record)), offset: body.offset || null };
+};
+
+/**
+ *  Sends a single page of ESOVDB records retrieved with a cursor, with links to the next and previous pages in a Link header, and, for JSON responses, with their cursors alongside the records, as 'nextCursor' and 'prevCursor'
+ *
+ *  @function sendPage
+ *  @requires sendFormatted
+ *  @requires setLastModified
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {Object} page - A page of ESOVDB records, with the records as 'data', and the cursors of the next and previous pages as 'nextCursor' and 'prevCursor'
+ *  @param {('videos'|'submissions')} [kind='videos'] - The kind of ESOVDB records in {@link page}
+ *  @returns {!express:Response} The Express.js HTTP response context, after sending
+ */
+
+const sendPage = (req, res, page, kind = 'videos') => {
+  const link = linkHeader(req, page);
+  const format = getResponseFormat(req);
+
+  if (link) res.set('Link', link);
+  if (responseFormats.has(format)) return sendFormatted(res, page.data, format, kind);
+  setLastModified(res, page.data);
+  return res.status(200).send(JSON.stringify(page));
+};
+
+/**
+ *  Retrieves and sends, or returns, a single page of ESOVDB records for a query with a cursor, caching the page along with the cursors of the pages before and after it
+ *
+ *  @async
+ *  @function queryPage
+ *  @requires fetchPage
+ *  @requires sendPage
+ *  @requires cache
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {(!express:Response|Boolean)} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class, or false if not passed
+ *  @param {Object} query - The query to retrieve a page of
+ *  @param {string} query.table - The name of an ESOVDB Airtable table (e.g. 'Videos')
+ *  @param {Object} query.options - Options for the Airtable API call, as they would be passed to Airtable.js's select() method
+ *  @param {Object} query.cursor - The requested page, as decoded by {@link cursors.decodeCursor}, along with the query's fingerprint, as 'fingerprint'
+ *  @param {Function} query.format - The method used to format each Airtable record
+ *  @param {string} query.cachePath - The path at which to cache the page
+ *  @param {('videos'|'submissions')} [query.kind='videos'] - The kind of ESOVDB records being queried
+ *  @param {Function} [query.extend] - An async function that is passed the page, after it is cached, and returns it with any members to add before it is sent (e.g. facet counts)
+ *  @sideEffects Caches the page and, if {@link res} is provided, sends it to the requesting client
+ *  @returns {Promise<Object>} If {@link res} is not provided, the page of records, with the records as 'data', and the cursors of the next and previous pages as 'nextCursor' and 'prevCursor'
+ */
+
+const queryPage = async (req, res, { table, options, cursor, format, cachePath, kind = 'videos', extend = async (page) => page }) => {
+  try {
+    const { records, offset } = await fetchPage(table, options, cursor.offset);
+    const page = { data: records.map(format), ...pageCursors(cursor, offset, cursor.fingerprint) };
+    console.log(`[DONE] Retrieved ${page.data.length} records${offset ? ', with more to follow' : ', the last page'}.`);
+    cache.writeCacheWithPath(cachePath, page);
+    return res ? sendPage(req, res, await extend(page), kind) : page;
+  } catch (err) {
+    console.error(err);
+    if (!res) throw err;
+
+    if (expiredCursorErrors.includes(err.error))
+      return res.status(400).send(JSON.stringify({ error: { code: 'INVALID_CURSOR', message: 'This cursor has expired.  Start over without a cursor.' } }));
+
+    return res.status(400).send(JSON.stringify(err));
+  }
+};
+
+/**
+ *  Counts facet values across every cached ESOVDB video that matches a query, rather than just the page of videos being sent, without any additional Airtable API calls beyond those made by {@link updateLatest}
+ *
+ *  @async
+ *  @function countVideoFacets
+ *  @requires facets.countFacets
+ *  @param {string[]} names - The facets to count, as parsed by {@link facets.parseFacets}
+ *  @param {Function} matches - A function that is passed each cached video, and returns whether or not it matches the query
+ *  @returns {Promise<Object>} The number of videos matching the query as 'total', and the counts of each facet's values as 'facets', both of which are null if the cached videos aren't available
+ */
+
+const countVideoFacets = async (names, matches) => {
+  try {
+    const videos = (await module.exports.updateLatest()).filter(matches);
+    return { total: videos.length, facets: countFacets(videos, names) };
+  } catch (err) {
+    console.error(`[ERROR] Unable to count facets from cached videos. ${err.message}`);
+    return { total: null, facets: null };
+  }
+};
+
+/**
+ *  Refreshes the search index with {@link updateLatest} if it hasn't been refreshed in the past {@link searchIndexMaxAge} ms, or if cached videos have been invalidated since it was
+ *
+ *  @async
+ *  @function refreshSearchIndex
+ *  @requires search.indexRefreshed
+ *  @requires cache.invalidatedAt
+ *  @returns {Promise<void>} A promise that resolves once the search index is fresh
+ */
+
+const refreshSearchIndex = async () => {
+  const refreshed = search.indexRefreshed();
+  const invalidated = await cache.invalidatedAt('.cache/v1/videos/query/latest.json');
+  if (refreshed === null || Date.now() - refreshed > searchIndexMaxAge || (invalidated !== null && refreshed <= invalidated)) await module.exports.updateLatest();
+};
+
+/**
+ *  Builds a function that retrieves the response to a request fresh from Airtable and caches it, without sending it, for revalidating its cached response in the background, using a copy of the request made before any of its params are normalized
+ *
+ *  @function revalidator
+ *  @param {string} method - The name of the method of this module that handles the request (e.g. 'queryVideos')
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @returns {Function} An async function that resolves once the response is retrieved and cached, which passes {@link method} a request with 'revalidating' set to true, so that it skips the cache
+ */
+
+const revalidator = (method, req) => {
+  const { url, params = {}, query = {} } = req;
+  return () => module.exports[method]({ url, params: { ...params }, query: { ...query }, headers: {}, revalidating: true });
+};
+
+/**
+ *  Refreshes the data of all videos and submissions, and then the most popular cached responses that can be refreshed (i.e. those matching {@link warmableRoutes}), if they're stale, one at a time, while holding a lock, so that only one instance warms the cache at a time
+ *
+ *  @async
+ *  @function warmCache
+ *  @requires cache.withLock
+ *  @requires cache.popularPaths
+ *  @returns {Promise<void>} A promise that resolves once the cache is warmed, or is being warmed by another instance
+ */
+
+const warmCache = async () => {
+  const warmed = await cache.withLock('.cache/v1/warm', async () => {
+    console.log('Warming the cache...');
+    await module.exports.updateLatest();
+    await module.exports.updateLatestSubmissions();
+
+    for (const path of await cache.popularPaths(cacheWarmCount)) {
+      const url = path.replace(/^\.cache/, '').replace(/\.json$/, '');
+      const { pathname, searchParams } = new URL(url, 'http://localhost');
+      const route = [ ...warmableRoutes ].find(([ pattern ]) => pattern.test(pathname));
+      if (!route || await cache.readCacheWithPath(path) !== null) continue;
+
+      const [ pattern, { method, param } ] = route;
+      const query = {};
+      searchParams.forEach((value, key) => { query[key] = key in query ? [].concat(query[key], value) : value; });
+
+      try {
+        await module.exports[method]({ url, params: { [param]: pattern.exec(pathname)[1] }, query, headers: {}, revalidating: true });
+        console.log(`› Warmed ${url}.`);
+      } catch (err) {
+        console.error(`[ERROR] Unable to warm ${url}. ${err.message}`);
+      }
+    }
+
+    console.log('[DONE] Warmed the cache.');
+  });
+
+  if (!warmed) console.log('› The cache is already being warmed by another instance.');
+};
+
+/**
+ *  Formats a series, topic, tag, person, or organization record as JSON, with only the Airtable fields of its kind in {@link collectionFields}
+ *
+ *  @function toCollectionJSON
+ *  @param {('series'|'topics'|'tags'|'people'|'organizations')} kind - The kind of record to format
+ *  @param {AirtableRecord} record - The Airtable record class instance to format
+ *  @returns {Object} The formatted record, with its Airtable record ID as 'id'
+ */
+
+const toCollectionJSON = (kind, record) => ({ id: record.id, ...projectFields(record._rawJson.fields, collectionFields.get(kind) || []) });
+
+/**
+ *  Formats an Airtable record for a GraphQL query, where videos are formatted with {@link videoFormat.toZoteroJSON}, and records of other tables with {@link toCollectionJSON}, plus the key of their Zotero collection, which the GraphQL schema exposes
+ *
+ *  @function toGraphRecord
+ *  @param {string} table - The name of the record's ESOVDB Airtable table
+ *  @param {AirtableRecord} record - The Airtable record class instance to format
+ *  @returns {Object} The formatted record, with its Airtable record ID as 'id'
+ */
+
+const toGraphRecord = (table, record) => table === 'Videos'
+  ? { ...videoFormat.toZoteroJSON(record), id: record.id }
+  : { ...toCollectionJSON([ ...tables ].find(([ , name ]) => name === table)[0], record), 'Zotero Key': record.get('Zotero Key') };
+
+/**
+ *  Retrieves every record of an ESOVDB table matching a list of Airtable formula conditions, {@link graphBatchSize} conditions per Airtable API call, for batched lookups in GraphQL queries
+ *
+ *  @async
+ *  @function findGraphRecords
+ *  @requires fetchPage
+ *  @param {string} table - The name of an ESOVDB Airtable table (e.g. 'Series')
+ *  @param {string[]} conditions - Airtable formula conditions, any of which a record can match
+ *  @returns {Promise<Object[]>} The matching records, formatted with {@link toGraphRecord}
+ */
+
+const findGraphRecords = async (table, conditions) => {
+  const records = [];
+
+  for (let i = 0; i < conditions.length; i += graphBatchSize) {
+    const options = { filterByFormula: `OR(${conditions.slice(i, i + graphBatchSize).join(',')})`, pageSize: 100 };
+    if (table === 'Videos') options.fields = zoteroFields;
+    let offset = null;
+
+    do {
+      const page = await fetchPage(table, options, offset);
+      records.push(...page.records.map((record) => toGraphRecord(table, record)));
+      offset = page.offset;
+    } while (offset);
+  }
+
+  return records;
+};
+
+/** @constant {Object} graphSources - Async functions that retrieve ESOVDB records from Airtable for GraphQL queries, which {@link graphql.executeQuery} batches per request, and which are rate-limited by {@link fetchPage} */
+const graphSources = {
+  recordsById: async (table, ids) => {
+    const records = await findGraphRecords(table, ids.map((id) => `RECORD_ID()='${escapeAirtableFormulaString(id)}'`));
+    return ids.map((id) => records.find((record) => record.id === id) || null);
+  },
+
+  recordsByName: async (table, names) => {
+    const records = await findGraphRecords(table, names.map((name) => `LOWER({Name}&'')='${escapeAirtableFormulaString(name.toLowerCase())}'`));
+    return names.map((name) => records.find((record) => String(record['Name'] || '').toLowerCase() === name.toLowerCase()) || null);
+  },
+
+  videosMatching: async (queries) => Promise.all(queries.map(async ({ filters, limit }) => {
+    const conditions = videoFiltersToFormula(filters);
+    const options = { fields: zoteroFields, sort: [{ field: 'Modified', direction: 'desc' }], pageSize: 100 };
+    if (conditions.length > 0) options.filterByFormula = `AND(${conditions.join(',')})`;
+    const videos = [];
+    let offset = null, pages = 0;
+
+    do {
+      const page = await fetchPage('Videos', options, offset);
+      videos.push(...page.records.map((record) => toGraphRecord('Videos', record)).filter((video) => matchesVideoFilters(video, filters)));
+      offset = page.offset;
+      pages++;
+    } while (offset && pages < graphMaxPages && videos.length < limit);
+
+    if (offset && videos.length < limit) {
+      const err = new Error(`Found only ${videos.length} of ${limit} videos after searching ${pages * options.pageSize} videos.  Request fewer videos, or narrow the filters.`);
+      err.code = 'TOO_MANY_PAGES';
+      return err;
+    }
+
+    return videos.slice(0, limit);
+  })),
+
+  listRecords: async (table, limit, offset = 0) => {
+    const options = { pageSize: Math.min(offset + limit, 100), maxRecords: offset + limit, sort: [{ field: 'Name', direction: 'asc' }] };
+    const records = [];
+    let cursor = null;
+
+    do {
+      const page = await fetchPage(table, options, cursor);
+      records.push(...page.records);
+      cursor = page.offset;
+    } while (cursor && records.length < offset + limit);
+
+    return records.slice(offset, offset + limit).map((record) => toGraphRecord(table, record));
+  }
+};
+
+/**
+ *  Streams ESOVDB data in an HTTP server response using chunked transfer encoding, serializing and writing {@link streamChunkSize} records at a time, rather than building the entire response in memory
+ *
+ *  @async
+ *  @function streamFormatted
+ *  @requires drained
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {Object[]} items - An array of ESOVDB records, already formatted as JavaScript objects
+ *  @param {Object} responseFormat - One of the {@link responseFormats} that can be streamed (e.g. 'ndjson')
+ *  @param {('videos'|'submissions')} [kind='videos'] - The kind of ESOVDB records in {@link items}
+ *  @returns {Promise<!express:Response>} The Express.js HTTP response context, after all records have been written
+ */
+
+const streamFormatted = async (res, items, responseFormat, kind = 'videos') => {
+  res.status(200).type(responseFormat.contentType);
+
+  for (let i = 0; i < items.length && !res.destroyed; i += streamChunkSize) {
+    if (!res.write(responseFormat.serialize(items.slice(i, i + streamChunkSize), kind))) await drained(res);
+  }
+
+  return res.end();
+};
+
 module.exports = {
+  negotiatesFormat,
+
   
   /**
    *  Retrieves videos from the ESOVDB by first checking the cache for a matching, fresh request, and otherwise performing an Airtable select() API query, page by page {@link req.query.pageSize} videos at a time (default=100), until all or {@link req.query.maxRecords}, if specified, using Botleneck for rate-limiting.  
    *
+   *  @async
    *  @method queryVideos
    *  @requires Airtable
    *  @requires Bottleneck
@@ -478,14 +964,34 @@ module.exports = {
    *  @param {number} [req.query.maxRecords] - An [http request]{@link req} URL query param that specifies the maximum number of Airtable records that should be sent in the [server response]{@link res}
    *  @param {string} [req.query.createdAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), used to create a filterByFormula in an Airtable API call that returns only records created after the date in the given string
    *  @param {string} [req.query.modifiedAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), used to create a filterByFormula in an Airtable API call that returns only records modified after the date in the given string
+   *  @param {string[]} [req.videoIds] - The Airtable record IDs of the only videos that can match, set by {@link queryCollectionVideos} for the videos linked to a person
    *  @param {string} [req.query.youTube] - A YouTube video's URL, short URL, or video ID
    *  @param {string} [req.query.searchText] - A string of text to search within multiple fields in the ESOVDB
+   *  @param {string} [req.query.topic] - An [http request]{@link req} URL query param that limits results to a single ESOVDB topic, by its full name or its Discord channel name
+   *  @param {string} [req.query.videoFormat] - An [http request]{@link req} URL query param that limits results to a single ESOVDB format (e.g. 'Lecture Recording'), which can also be sent as {@link req.query.format}, if no output format is needed
+   *  @param {(string|string[])} [req.query.tag] - An [http request]{@link req} URL query param that limits results to videos with a given tag, which can be repeated
+   *  @param {('any'|'all')} [req.query.tagMode='any'] - An [http request]{@link req} URL query param that specifies whether videos must have any or all of the tags in {@link req.query.tag}
+   *  @param {string} [req.query.series] - An [http request]{@link req} URL query param that limits results to a single series, by its full name
+   *  @param {string} [req.query.presenter] - An [http request]{@link req} URL query param that limits results to videos with a presenter matching a full, first, or last name
+   *  @param {string} [req.query.publisher] - An [http request]{@link req} URL query param that limits results to a single publisher, by its full name
+   *  @param {string} [req.query.language] - An [http request]{@link req} URL query param that limits results to a single language, by its ISO 639 code (e.g. 'en')
+   *  @param {number} [req.query.yearFrom] - An [http request]{@link req} URL query param that limits results to videos from this year or later
+   *  @param {number} [req.query.yearTo] - An [http request]{@link req} URL query param that limits results to videos from this year or earlier
+   *  @param {(number|string)} [req.query.minRunningTime] - An [http request]{@link req} URL query param that limits results to videos at least this long, in seconds or as h:mm:ss or m:ss
+   *  @param {(number|string)} [req.query.maxRunningTime] - An [http request]{@link req} URL query param that limits results to videos at most this long, in seconds or as h:mm:ss or m:ss
+   *  @param {string} [req.query.sort] - An [http request]{@link req} URL query param that specifies a comma-separated list of fields to sort by, each prefixed with '-' for descending order (e.g. 'year,-runningTime'), from {@link fields.videoFields}, most recently modified first by default
+   *  @param {string} [req.query.cursor] - An [http request]{@link req} URL query param with an opaque cursor from a previous response, or an empty string to start from the first page, which retrieves a single page of records with one Airtable API call, instead of the page specified by {@link req.params.pg}, and sends it with the cursors of the next and previous pages
+   *  @param {string} [req.query.facets] - An [http request]{@link req} URL query param that specifies a comma-separated list of facets (e.g. 'topic,format,year,tags') to count across all cached videos that match the query, which are sent along with the total number of matching videos, next to the records, in JSON responses
+   *  @param {string} [req.query.fields] - An [http request]{@link req} URL query param that specifies a comma-separated list of the only fields to retrieve and send (e.g. 'title,url,topic'), from {@link fields.videoFields}, which can't be combined with output formats built from a fixed set of fields, from {@link fixedFieldFormats}
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of each record (e.g. 'zotero', 'raw', 'yt') or of the entire response (e.g. 'csv', 'geojson', 'kml', 'bibtex', 'ris', 'csl-json', 'xml', 'jsonld', 'ndjson'). With 'ndjson', or an 'Accept: application/x-ndjson' header, each page of records is streamed to the client as soon as it is retrieved from Airtable, and the result isn't cached
+   *  @param {boolean} [req.revalidating] - Set on requests built by {@link revalidator}, which skip the cache and always retrieve records fresh from Airtable
    *  @param {(!express:Response|Boolean)} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class, or false if not passed
    *  @sideEffects Queries the ESOVDB Airtable base, page by page, and either sends the retrieved data as JSON within an HTTPServerResponse object, or returns it as a JavaScript Object
-   *  @returns {Object[]} Array of ESOVDB video records as JavaScript objects (if no {@link res} object is provided)
+   *  @returns {Object[]} Array of ESOVDB video records as JavaScript objects (if no {@link res} object is provided), or, for streamed responses, a promise that resolves to the number of records streamed, once the response has ended, or the client has disconnected
    */
   
-  queryVideos: (req, res = false) => {
+  queryVideos: async (req, res = false) => {
+    const revalidate = res ? revalidator('queryVideos', req) : null;
     if (!req.params) req.params = {};
     if (!req.query) req.query = {};
     req.params.pg = !req.params.pg || !Number(req.params.pg) || +req.params.pg < 0 ? null : +req.params.pg - 1;
@@ -504,29 +1010,85 @@ module.exports = {
         createdAfter,
         createdAfterDate,
         likeYTID,
-        searchText;
+        searchText,
+        filters,
+        sort,
+        fields,
+        facets,
+        cursor = null;
+    
+    try {
+      filters = parseVideoFilters(req.query);
+      if (req.videoIds) filters.videoIds = req.videoIds;
+      sort = parseSort(req.query.sort);
+      fields = parseFields(req.query.fields);
+      facets = res ? parseFacets(req.query.facets) : null;
+      
+      if (facets && responseFormats.has(getResponseFormat(req))) {
+        const err = new Error(`"facets" can only be sent with JSON responses, not with the "${getResponseFormat(req)}" format.`);
+        err.status = 400;
+        err.code = 'INVALID_FACETS';
+        throw err;
+      }
+      
+      if (typeof req.query.cursor !== 'undefined') {
+        const fingerprint = queryFingerprint(req.query, 'videos');
+        cursor = { ...decodeCursor(req.query.cursor, fingerprint), fingerprint };
+      }
+      
+      if (fields && fixedFieldFormats.includes(req.query.format)) {
+        const err = new Error(`"fields" can't be used with the "${req.query.format}" format.`);
+        err.status = 400;
+        err.code = 'INVALID_FIELDS';
+        throw err;
+      }
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      if (!res) throw err;
+      
+      return res.status(err.status || 400).send(JSON.stringify({
+        error: {
+          code: err.code || 'INVALID_VIDEO_FILTER',
+          message: err.message
+        }
+      }));
+    }
     
     if (
       req.query.modifiedAfter &&
-      !isNaN(Date.parse(decodeURIComponent(req.query.modifiedAfter))) &&
-      Date.parse(decodeURIComponent(req.query.modifiedAfter)) > 0
+      !isNaN(Date.parse(req.query.modifiedAfter)) &&
+      Date.parse(req.query.modifiedAfter) > 0
     ) {
-      modifiedAfter = Date.parse(decodeURIComponent(req.query.modifiedAfter));
+      modifiedAfter = Date.parse(req.query.modifiedAfter);
       modifiedAfterDate = new Date(modifiedAfter);
     }
 
     if (
       req.query.createdAfter &&
-      !isNaN(Date.parse(decodeURIComponent(req.query.createdAfter))) &&
-      Date.parse(decodeURIComponent(req.query.createdAfter)) > 0
+      !isNaN(Date.parse(req.query.createdAfter)) &&
+      Date.parse(req.query.createdAfter) > 0
     ) {
-      createdAfter = Date.parse(decodeURIComponent(req.query.createdAfter));
+      createdAfter = Date.parse(req.query.createdAfter);
       createdAfterDate = new Date(createdAfter);
     }
     
-    if (req.query.youTube && regexYT.test(decodeURIComponent(req.query.youTube))) likeYTID = regexYT.exec(decodeURIComponent(req.query.youTube))[1];
+    if (req.query.youTube && regexYT.test(req.query.youTube)) likeYTID = regexYT.exec(req.query.youTube)[1];
+    
+    if (req.query.searchText) searchText = req.query.searchText.toLowerCase();
     
-    if (req.query.searchText) searchText = decodeURIComponent(req.query.searchText).toLowerCase();
+    const matchesQuery = (video) =>
+      matchesVideoFilters(video, filters) &&
+      (!modifiedAfter || Date.parse(video.modified) > modifiedAfter) &&
+      (!createdAfter || Date.parse(video.created) > createdAfter) &&
+      (!likeYTID || String(video.url).includes(likeYTID)) &&
+      (!searchText || [ video.title, video.desc, ...(video.tags || []) ].some((text) => String(text || '').toLowerCase().includes(searchText)));
+    
+    const withFacets = async (page) => facets ? { ...page, ...(await countVideoFacets(facets, matchesQuery)) } : page;
+    const send = async (data) => {
+      if (!facets) return sendFormatted(res, data, getResponseFormat(req));
+      setLastModified(res, data);
+      return res.status(200).send(JSON.stringify(await withFacets({ data })));
+    };
     
     let queryText = req.params.pg !== null ?
       `for page ${req.params.pg + 1} (${req.query.pageSize} results per page)` :
@@ -536,33 +1098,46 @@ module.exports = {
     queryText += createdAfterDate ? ', created after ' + createdAfterDate.toLocaleString() : '';
     queryText += likeYTID ? `, matching YouTube ID "${likeYTID}"` : '';
     queryText += searchText ? `, matching text (case-insensitive) "${searchText}"` : '';
+    queryText += videoFiltersToFormula(filters).length > 0 ? `, filtered by ${Object.entries(filters).filter(([ key, value ]) => key !== 'tagMode' && value !== null && (!Array.isArray(value) || value.length)).map(([ key, value ]) => `${key} "${value}"`).join(', ')}` : '';
+    queryText += sort ? `, sorted by ${sort.map(({ field, direction }) => `${field} (${direction})`).join(', ')}` : '';
+    queryText += fields ? `, with only fields ${fields.names.join(', ')}` : '';
+    queryText += cursor ? `, from ${cursor.offset ? 'a cursor' : 'the first page, with a cursor'}` : '';
     
     console.log(`Performing videos/query ${res ? 'external' : 'internal'} API request ${queryText}...`);
 
     const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
+    const cachedResult = req.revalidating ? null : await cache.readCacheWithPath(cachePath, true, revalidate);
 
     if (cachedResult !== null) {
       console.log(`Cache hit. Returning cached result for ${req.url}...`);
-      if (res) return res.status(200).send(JSON.stringify(cachedResult));
+      if (cursor) return res ? withFacets(cachedResult).then((page) => sendPage(req, res, page)) : cachedResult;
+      if (res) return send(cachedResult);
       else return cachedResult;
     } else {
       console.log(`Cache miss. Loading from Airtable for ${req.url}...`);
 
+      const responseFormat = responseFormats.get(getResponseFormat(req));
+      const stream = res && responseFormat && responseFormat.stream;
+      const format = getFormat(req.query.format, videoFormat.toZoteroJSON);
+      const formatRecord = (record) => fields && format === videoFormat.toZoteroJSON ? projectFields(format(record), fields.names) : format(record);
+
       let data = [],
+          streamed = 0,
           pg = 0,
           ps = +req.query.pageSize,
           filterStrings = [],
           options = {
             pageSize: ps,
             view: 'All Online Videos',
-            sort: [{ field: 'Modified', direction: 'desc' }]
+            sort: sort || [{ field: 'Modified', direction: 'desc' }]
           };
       
-      if (formatFields.get(req.query.format))
+      if (fields)
+        options.fields = fields.airtableFields;
+      else if (formatFields.get(req.query.format))
         options.fields = formatFields.get(req.query.format);
       
-      if (req.query.maxRecords && !req.params.pg)
+      if (req.query.maxRecords && (!req.params.pg || cursor))
         options.maxRecords = +req.query.maxRecords;
       
       if (modifiedAfter)
@@ -574,11 +1149,26 @@ module.exports = {
       if (likeYTID)
         filterStrings.push(`REGEX_MATCH({URL}, "${likeYTID}")`);
       
-      if (searchText)
-        filterStrings.push(`OR(REGEX_MATCH(LOWER({Title}&''), "${searchText}"),REGEX_MATCH(LOWER({Description}&''), "${searchText}"),REGEX_MATCH(LOWER({Tags}&''), "${searchText}"))`);
+      if (searchText) {
+        const pattern = escapeAirtableFormulaString(escapeRegExp(searchText));
+        filterStrings.push(`OR(REGEX_MATCH(LOWER({Title}&''), '${pattern}'),REGEX_MATCH(LOWER({Description}&''), '${pattern}'),REGEX_MATCH(LOWER({Tags}&''), '${pattern}'))`);
+      }
+      
+      filterStrings.push(...videoFiltersToFormula(filters));
       
       if (filterStrings.length > 0)
         options.filterByFormula = filterStrings.length > 1 ? `AND(${filterStrings.join(',')})` : filterStrings[0]
+      
+      if (cursor)
+        return queryPage(req, res, { table: 'Videos', options, cursor, format: formatRecord, cachePath, extend: withFacets });
+
+      let resolveData, rejectData;
+      const retrieved = new Promise((resolve, reject) => (resolveData = resolve, rejectData = reject));
+
+      const disconnected = () => {
+        console.log(`› Client disconnected after ${streamed} streamed records.`);
+        return resolveData(streamed);
+      };
 
       rateLimiter.wrap(
         base('Videos')
@@ -587,12 +1177,31 @@ module.exports = {
             function page(records, fetchNextPage) {
               if (!req.params.pg || pg == req.params.pg) {
                 console.log(`Retrieving records ${pg * ps + 1}-${(pg + 1) * ps}...`);                
-                data = [ ...data, ...records.map((record) => getFormat(req.query.format, videoFormat.toZoteroJSON)(record)) ];
+                const formatted = records.map(formatRecord);
+
+                if (stream) {
+                  if (res.destroyed) return disconnected();
+                  if (!res.headersSent) res.status(200).type(responseFormat.contentType);
+                  const flushed = res.write(responseFormat.serialize(formatted));
+                  streamed += formatted.length;
+                  
+                  if (pg == req.params.pg) {
+                    console.log(`[DONE] Streamed ${streamed} records.`);
+                    res.end();
+                    return resolveData(streamed);
+                  }
+
+                  pg++;
+                  return flushed ? fetchNextPage() : drained(res).then(() => res.destroyed ? disconnected() : fetchNextPage());
+                }
+
+                data = [ ...data, ...formatted ];
 
                 if (pg == req.params.pg) {
                   console.log(`[DONE] Retrieved ${data.length} records.`);
                   cache.writeCacheWithPath(cachePath, data);
-                  if (res) return res.status(200).send(JSON.stringify(data));
+                  if (res) return send(data);
+                  else return resolveData(data);
                 } else {
                   console.log(`Successfully retrieved ${records.length} records.`);
                 }
@@ -605,24 +1214,32 @@ module.exports = {
             function done(err) {
               if (err) {
                 console.error(err);
-                if (res) return res.status(400).send(JSON.stringify(err));
-                else throw new Error(err.message);
+                if (stream && res.headersSent) res.destroy(err);
+                else if (res) res.status(400).send(JSON.stringify(err));
+                return stream ? resolveData(streamed) : res ? null : rejectData(new Error(err.message));
+              } else if (stream) {
+                console.log(`[DONE] Streamed ${streamed} records.`);
+                if (!res.headersSent) res.status(200).type(responseFormat.contentType);
+                res.end();
+                return resolveData(streamed);
               } else {
                 console.log(`[DONE] Retrieved ${data.length} records.`);
                 cache.writeCacheWithPath(cachePath, data);
-                if (res) return res.status(200).send(JSON.stringify(data));
+                if (res) return send(data);
+                else return resolveData(data);
               }
             }
           )
       );
       
-      if (!res) return data;
+      if (!res || stream) return retrieved;
     }
   },
   
 /**
    *  Retrieves submissions from the ESOVDB by first checking the cache for a matching, fresh request, and otherwise performing an Airtable select() API query, page by page {@link req.query.pageSize} submissions at a time (default=100), until all or {@link req.query.maxRecords}, if specified, using Botleneck for rate-limiting.  
    *
+   *  @async
    *  @method queryVideos
    *  @requires Airtable
    *  @requires Bottleneck
@@ -630,13 +1247,19 @@ module.exports = {
    *  @requires util
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {string} [req.query.createdAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), used to create a filterByFormula in an Airtable API call that returns only records created after the date in the given string
+   *  @param {string} [req.query.sort] - An [http request]{@link req} URL query param that specifies a comma-separated list of fields to sort by, each prefixed with '-' for descending order (e.g. 'year,-created'), from {@link fields.submissionFields}, newest first by default
+   *  @param {string} [req.query.cursor] - An [http request]{@link req} URL query param with an opaque cursor from a previous response, or an empty string to start from the first page, which retrieves a single page of records with one Airtable API call, and sends it with the cursors of the next and previous pages
+   *  @param {string} [req.query.fields] - An [http request]{@link req} URL query param that specifies a comma-separated list of the only fields to retrieve (e.g. 'title,url'), from {@link fields.submissionFields}
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the entire response (e.g. 'csv', 'xml'), JSON by default
+   *  @param {boolean} [req.revalidating] - Set on requests built by {@link revalidator}, which skip the cache and always retrieve records fresh from Airtable
    *  @param {(!express:Response|Boolean)} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class, or false if not passed
    *  @sideEffects Queries the ESOVDB Airtable base, page by page, and either sends the retrieved data as JSON within an HTTPServerResponse object, or returns it as a JavaScript Object
    *  @returns {Object[]} Array of ESOVDB submission records as JavaScript objects (if no {@link res} object is provided)
    */
 
-  querySubmissions: (req, res = false) => {
+  querySubmissions: async (req, res = false) => {
     console.log('starting querySubmissions');
+    const revalidate = res ? revalidator('querySubmissions', req) : null;
     if (!req.params) req.params = {};
     if (!req.query) req.query = {};
     req.params.pg = !req.params.pg || !Number(req.params.pg) || +req.params.pg < 0 ? null : +req.params.pg - 1;
@@ -650,14 +1273,28 @@ module.exports = {
     if (req.query.maxRecords && +req.query.maxRecords < +req.query.pageSize)
       req.query.pageSize = req.query.maxRecords;
 
-    let createdAfter, createdAfterDate;
+    let createdAfter, createdAfterDate, sort, fields, cursor = null;
+
+    try {
+      sort = parseSort(req.query.sort, 'submissions');
+      fields = parseFields(req.query.fields, 'submissions');
+
+      if (typeof req.query.cursor !== 'undefined') {
+        const fingerprint = queryFingerprint(req.query, 'submissions');
+        cursor = { ...decodeCursor(req.query.cursor, fingerprint), fingerprint };
+      }
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      if (!res) throw err;
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
 
     if (
       req.query.createdAfter &&
-      !isNaN(Date.parse(decodeURIComponent(req.query.createdAfter))) &&
-      Date.parse(decodeURIComponent(req.query.createdAfter)) > 0
+      !isNaN(Date.parse(req.query.createdAfter)) &&
+      Date.parse(req.query.createdAfter) > 0
     ) {
-      createdAfter = Date.parse(decodeURIComponent(req.query.createdAfter));
+      createdAfter = Date.parse(req.query.createdAfter);
       createdAfterDate = new Date(createdAfter);
     } else {
       createdAfterDate = null
@@ -666,11 +1303,12 @@ module.exports = {
     console.log(`Querying submissions created ${createdAfterDate ? 'after ' + createdAfterDate.toLocaleString() : 'since the beginning'}...`);
 
     const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
+    const cachedResult = req.revalidating ? null : await cache.readCacheWithPath(cachePath, true, revalidate);
 
     if (cachedResult !== null) {
       console.log(`Cache hit. Returning cached result for ${req.url}...`);
-      return res ? res.status(200).send(JSON.stringify(cachedResult)) : cachedResult;
+      if (cursor) return res ? sendPage(req, res, cachedResult, 'submissions') : cachedResult;
+      return res ? sendFormatted(res, cachedResult, getResponseFormat(req), 'submissions') : cachedResult;
     } else {
       console.log(`Cache miss. Loading from Airtable for ${req.url}...`);
 
@@ -681,10 +1319,13 @@ module.exports = {
           options = {
             pageSize: ps,
             view: 'Open Submissions',
-            sort: [{ field: 'Created', direction: 'desc' }]
+            sort: sort || [{ field: 'Created', direction: 'desc' }]
           };
       
-      if (req.query.maxRecords && !req.params.pg)
+      if (fields)
+        options.fields = fields.airtableFields;
+      
+      if (req.query.maxRecords && (!req.params.pg || cursor))
         options.maxRecords = +req.query.maxRecords;
       
       if (createdAfter)
@@ -693,6 +1334,12 @@ module.exports = {
       if (filterStrings.length > 0)
         options.filterByFormula = filterStrings.length > 1 ? `AND(${filterStrings.join(',')})` : filterStrings[0]
 
+      if (cursor)
+        return queryPage(req, res, { table: 'Submissions', options, cursor, format: (record) => ({ id: record.id, ...record.fields }), cachePath, kind: 'submissions' });
+
+      let resolveData, rejectData;
+      const retrieved = new Promise((resolve, reject) => (resolveData = resolve, rejectData = reject));
+
       rateLimiter.wrap(
         base('Submissions')
           .select(options)
@@ -705,7 +1352,8 @@ module.exports = {
                 if (pg == req.params.pg) {
                   console.log(`[DONE] Retrieved ${data.length} records.`);
                   cache.writeCacheWithPath(cachePath, data);
-                  if (res) return res.status(200).send(JSON.stringify(data));
+                  if (res) return sendFormatted(res, data, getResponseFormat(req), 'submissions');
+                  else return resolveData(data);
                 } else {
                   console.log(`Successfully retrieved ${records.length} records.`);
                 }
@@ -719,23 +1367,25 @@ module.exports = {
               if (err) {
                 console.error(err);
                 if (res) return res.status(400).send(JSON.stringify(err));
-                else throw new Error(err.message);
+                else return rejectData(new Error(err.message));
               } else {
                 console.log(`[DONE] Retrieved ${data.length} records.`);
                 cache.writeCacheWithPath(cachePath, data);
-                if (res) return res.status(200).send(JSON.stringify(data));
+                if (res) return sendFormatted(res, data, getResponseFormat(req), 'submissions');
+                else return resolveData(data);
               }
             }
           )
       );
 
-      if (!res) return data;
+      if (!res) return retrieved;
     }
   },
   
   /**
    *  Retrieves a video from the ESOVDB, searching the 'Videos' table, given a YouTube video URL or ID, and returns a match's ESOVDB details in JSON format.
    *
+   *  @async
    *  @method queryYouTubeVideos
    *  @requires Airtable
    *  @requires Bottleneck
@@ -748,13 +1398,13 @@ module.exports = {
    *  @returns {Object} Object with collection or properties for identifying and linking to an ESOVDB record on YouTube
    */
   
-  queryYouTubeVideos: (req, res) => {
+  queryYouTubeVideos: async (req, res) => {
     let videoId;
     
-    if (req.params.id && regexYT.test(decodeURIComponent(req.params.id))) {
-      videoId = regexYT.exec(decodeURIComponent(req.params.id))[1];
-    } else if (req.query.id && regexYT.test(decodeURIComponent(req.query.id))) {
-      videoId = regexYT.exec(decodeURIComponent(req.query.id))[1];
+    if (req.params.id && regexYT.test(req.params.id)) {
+      videoId = regexYT.exec(req.params.id)[1];
+    } else if (req.query.id && regexYT.test(req.query.id)) {
+      videoId = regexYT.exec(req.query.id)[1];
     } else {
       if (res) {
         return res.status(400).send('Missing parameter "id".');
@@ -766,7 +1416,7 @@ module.exports = {
     console.log(`Performing videos/youtube ${res ? 'external' : 'internal'} API request for YouTube ID "${videoId}"...`);
 
     const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
+    const cachedResult = await cache.readCacheWithPath(cachePath);
 
     if (cachedResult !== null) {
       console.log(`Cache hit. Returning cached result for ${req.url}...`);
@@ -822,6 +1472,7 @@ module.exports = {
    *
    *  If a matching record exists in both tables, the 'Videos' table record takes precedence and is returned over the 'Submissions' table record.
    *
+   *  @async
    *  @method queryYouTubeVideosAndSubmissions
    *  @requires Airtable
    *  @requires Bottleneck
@@ -834,13 +1485,13 @@ module.exports = {
    *  @returns {Object} Object with collection or properties for identifying and linking to an ESOVDB video or submission record on YouTube
    */
   
-  queryYouTubeVideosAndSubmissions: (req, res) => {
+  queryYouTubeVideosAndSubmissions: async (req, res) => {
     let videoId;
 
-    if (req.params.id && regexYT.test(decodeURIComponent(req.params.id))) {
-      videoId = regexYT.exec(decodeURIComponent(req.params.id))[1];
-    } else if (req.query.id && regexYT.test(decodeURIComponent(req.query.id))) {
-      videoId = regexYT.exec(decodeURIComponent(req.query.id))[1];
+    if (req.params.id && regexYT.test(req.params.id)) {
+      videoId = regexYT.exec(req.params.id)[1];
+    } else if (req.query.id && regexYT.test(req.query.id)) {
+      videoId = regexYT.exec(req.query.id)[1];
     } else {
       if (res) return res.status(400).send('Missing parameter "id".');
       throw new Error('Missing parameter "id".');
@@ -849,7 +1500,7 @@ module.exports = {
     console.log(`Performing videos-submissions/youtube ${res ? 'external' : 'internal'} API request for YouTube ID "${videoId}"...`);
 
     const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
+    const cachedResult = await cache.readCacheWithPath(cachePath);
 
     if (cachedResult !== null) {
       console.log(`Cache hit. Returning cached result for ${req.url}...`);
@@ -940,6 +1591,7 @@ module.exports = {
   /**
    *  Given a single ESOVDB Airtable record ID, returns that video's ESOVDB Airtable record data, in a neutral JSON format
    *
+   *  @async
    *  @method getVideoById
    *  @requires Airtable
    *  @requires Bottleneck
@@ -947,47 +1599,42 @@ module.exports = {
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {string} [req.params.id] - A video's ESOVDB Airtable record ID, passed as a URL query parameter.  Either this or req.query.id is required.
    *  @param {string} [req.query.id] - A video's ESOVDB Airtable record ID, passed as a URL query parameter. Either this or req.params.id is required.
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the record (e.g. 'raw', 'zotero', 'yt') or of the entire response (e.g. 'bibtex', 'ris', 'csl-json', 'xml', 'jsonld'), raw JSON by default
+   *  @param {boolean} [req.revalidating] - Set on requests built by {@link revalidator}, which skip the cache and always retrieve records fresh from Airtable
    *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
    *  @sideEffects Selects a single record from the ESOVDB Airtable base, and either sends the retrieved data as JSON within an HTTPServerResponse object, or returns it as a JavaScript Object
    *  @returns {Object} A JavaScript Object representing the entire Airtable record matching the specified video's ESOVDB Airtable record ID, with all of its fields
    */
   
-  getVideoById: (req, res) => {
+  getVideoById: async (req, res) => {
     const id = req.params.id || req.query.id || null;
 
     if (id && /^rec[\w]{14}$/.test(id)) {
       const cachePath = `.cache${req.url}.json`;
-      const cachedResult = cache.readCacheWithPath(cachePath);
+      const cachedResult = req.revalidating ? null : await cache.readCacheWithPath(cachePath, true, res ? revalidator('getVideoById', req) : null);
 
       if (cachedResult !== null) {
         console.log(`Cache hit. Returning cached result for ${req.url}...`);
-        if (res) return res.status(200).send(JSON.stringify(cachedResult));
+        if (res) return sendFormatted(res, cachedResult, getResponseFormat(req));
         else return cachedResult;
       } else {
         console.log(`Cache miss. Loading from Airtable for ${req.url}...`);
       
+        let record;
+
         try {
-          rateLimiter.wrap(
-            base('Videos')
-              .find(req.params.id, function(error, record) {
-                if (error) {
-                  console.error(`[ERROR] Unable to find record "${id}".`);
-                  if (res) return res.status(404).send('Unable to find matching record.');
-                  else return;
-                } else {
-                  const data = getFormat(req.query.format, videoFormat.toJSON)(record);
-                  console.log(`[DONE] Retrieved record "${id}".`);
-                  cache.writeCacheWithPath(cachePath, data);
-                  if (res) return res.status(200).send(JSON.stringify(data));
-                  else return data;
-                }
-              })
-          );
+          record = await rateLimiter.schedule(() => base('Videos').find(id));
         } catch (err) {
-          console.error(`[ERROR] ${err.message}.`);
-          if (res) return res.status(404).send(err.message);
+          console.error(`[ERROR] Unable to find record "${id}".`);
+          if (res) return res.status(404).send('Unable to find matching record.');
           else return;
         }
+
+        const data = getFormat(req.query.format, videoFormat.toJSON)(record);
+        console.log(`[DONE] Retrieved record "${id}".`);
+        await cache.writeCacheWithPath(cachePath, data);
+        if (res) return sendFormatted(res, data, getResponseFormat(req));
+        else return data;
       }
     } else {
       console.error(`[ERROR] Invalid or no ESOVDB record ID specified.`);
@@ -997,7 +1644,391 @@ module.exports = {
   },
   
   /**
-   *  Updates one or more Airtable records using the non-destructive Airtable update() method, at most 10 at a time, until all provided records have been updated, using Bottleneck for rate-limiting.
+   *  Retrieves series, topics, tags, people, or organizations from the ESOVDB, one page of records at a time, sorted by name, with opaque cursors for the next and previous pages, which are sent both in a Link header and, for JSON responses, alongside the records
+   *
+   *  @async
+   *  @method queryCollection
+   *  @requires cache
+   *  @requires cursors
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {('series'|'topics'|'tags'|'people'|'organizations')} req.params.kind - An Express.js route param that specifies the kind of records to retrieve
+   *  @param {number} [req.query.pageSize=100] - An [http request]{@link req} URL query param that specifies how many records to send in each page (max: 100)
+   *  @param {string} [req.query.cursor] - An [http request]{@link req} URL query param with an opaque cursor from a previous response, to retrieve the page it points to, instead of the first page
+   *  @param {string} [req.query.name] - An [http request]{@link req} URL query param that limits results to records with a given name, case-insensitively
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the response, from {@link collectionFormats}, raw JSON by default
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Queries the ESOVDB Airtable base for a single page of records, or reads it from the cache, and sends it as an HTTPServerResponse object to the requesting client
+   */
+
+  queryCollection: async (req, res) => {
+    const kind = req.params.kind;
+    const pageSize = !req.query.pageSize || isNaN(req.query.pageSize) || +req.query.pageSize > 100 || +req.query.pageSize <= 0 ? 100 : Math.floor(+req.query.pageSize);
+    let cursor, name = null;
+
+    try {
+      if (req.query.format && !collectionFormats.includes(req.query.format)) {
+        const err = new Error(`The "${req.query.format}" format isn't available for ${kind}. Valid formats are: ${collectionFormats.map((f) => `"${f}"`).join(', ')}.`);
+        err.status = 400;
+        err.code = 'INVALID_FORMAT';
+        throw err;
+      }
+
+      if (typeof req.query.name !== 'undefined') {
+        if (typeof req.query.name !== 'string' || !req.query.name.trim() || req.query.name.length > 200) {
+          const err = new Error(`"name" must be a single name of up to 200 characters.`);
+          err.status = 400;
+          err.code = 'INVALID_NAME';
+          throw err;
+        }
+
+        name = req.query.name.trim();
+      }
+
+      const fingerprint = queryFingerprint(req.query, kind);
+      cursor = { ...decodeCursor(typeof req.query.cursor === 'undefined' ? '' : req.query.cursor, fingerprint), fingerprint };
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    console.log(`Performing ${kind} API request (${pageSize} results per page${name ? `, named "${name}"` : ''}, from ${cursor.offset ? 'a cursor' : 'the first page'})...`);
+
+    const cachePath = `.cache${req.url}.json`;
+    const cachedResult = await cache.readCacheWithPath(cachePath);
+
+    if (cachedResult !== null) {
+      console.log(`Cache hit. Returning cached result for ${req.url}...`);
+      return sendPage(req, res, cachedResult, kind);
+    }
+
+    console.log(`Cache miss. Loading from Airtable for ${req.url}...`);
+    const options = { pageSize, fields: collectionFields.get(kind), sort: [{ field: 'Name', direction: 'asc' }] };
+    if (name) options.filterByFormula = `LOWER({Name}&'')='${escapeAirtableFormulaString(name.toLowerCase())}'`;
+    return queryPage(req, res, { table: tables.get(kind), options, cursor, format: (record) => toCollectionJSON(kind, record), cachePath, kind });
+  },
+
+  /**
+   *  Retrieves a single series, topic, tag, person, or organization from the ESOVDB by its Airtable record ID, with its public fields
+   *
+   *  @async
+   *  @method getCollectionRecord
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {('series'|'topics'|'tags'|'people'|'organizations')} req.params.kind - An Express.js route param that specifies the kind of record to retrieve
+   *  @param {string} req.params.id - An Express.js route param with the record's Airtable record ID
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the response, from {@link collectionFormats}, raw JSON by default
+   *  @param {(!express:Response|Boolean)} [res=false] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class, or false if not passed
+   *  @sideEffects Selects a single record from the ESOVDB Airtable base, or reads it from the cache, and either sends it as an HTTPServerResponse object to the requesting client, or returns it
+   *  @returns {Promise<Object>} If {@link res} is not provided, the record, with its Airtable record ID as 'id', and its Airtable fields in {@link collectionFields}
+   *  @throws If {@link res} is not provided, will throw an error with a 400 status if the record ID is invalid, or a 404 status if no such record exists
+   */
+
+  getCollectionRecord: async (req, res = false) => {
+    const kind = req.params.kind, id = req.params.id;
+
+    try {
+      if (!regexRecordId.test(id || '')) {
+        const err = new Error('Invalid or no ESOVDB record ID specified.');
+        err.status = 400;
+        err.code = 'INVALID_RECORD_ID';
+        throw err;
+      }
+
+      if (res && req.query.format && !collectionFormats.includes(req.query.format)) {
+        const err = new Error(`The "${req.query.format}" format isn't available for ${kind}. Valid formats are: ${collectionFormats.map((f) => `"${f}"`).join(', ')}.`);
+        err.status = 400;
+        err.code = 'INVALID_FORMAT';
+        throw err;
+      }
+
+      const cachePath = `.cache/v1/${kind}/${id}.json`;
+      let data = await cache.readCacheWithPath(cachePath);
+
+      if (data !== null) {
+        console.log(`Cache hit. Returning cached result for ${kind} record "${id}"...`);
+      } else {
+        console.log(`Cache miss. Loading ${kind} record "${id}" from Airtable...`);
+
+        try {
+          data = toCollectionJSON(kind, await rateLimiter.schedule(() => base(tables.get(kind)).find(id)));
+        } catch (error) {
+          const err = new Error(error.statusCode === 404 ? 'Unable to find matching record.' : `Unable to retrieve record "${id}".`);
+          err.status = error.statusCode === 404 ? 404 : 500;
+          err.code = error.statusCode === 404 ? 'NOT_FOUND' : 'AIRTABLE_ERROR';
+          throw err;
+        }
+
+        console.log(`[DONE] Retrieved ${kind} record "${id}".`);
+        cache.writeCacheWithPath(cachePath, data);
+      }
+
+      return res ? sendFormatted(res, data, getResponseFormat(req), kind) : data;
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      if (!res) throw err;
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+  },
+
+  /**
+   *  Retrieves the videos linked to a single series, topic, tag, person, or organization, by matching its name with the same filters as {@link queryVideos}, or, for a person, by the record IDs of its linked videos, so that only that person's videos match, and not those of everyone with part of their name, with {@link queryVideos} handling the rest of the request, so that every URL query param of {@link queryVideos} (e.g. 'format', 'sort', 'fields', 'cursor', 'facets', and other filters) works here as well
+   *
+   *  @async
+   *  @method queryCollectionVideos
+   *  @requires getCollectionRecord
+   *  @requires queryVideos
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {('series'|'topics'|'tags'|'people'|'organizations')} req.params.kind - An Express.js route param that specifies the kind of record whose videos to retrieve
+   *  @param {string} req.params.id - An Express.js route param with the record's Airtable record ID
+   *  @param {number} [req.params.pg] - An Express.js route param that specifies which page (one-indexed) of videos to send, as with {@link queryVideos}
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Sends an HTTPServerResponse object to the requesting client, containing the record's videos, formatted as by {@link queryVideos}
+   */
+
+  queryCollectionVideos: async (req, res) => {
+    let record;
+
+    try {
+      record = await module.exports.getCollectionRecord(req);
+    } catch (err) {
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    if (req.params.kind === 'people') {
+      req.videoIds = [].concat(record['Videos'] || []);
+      return module.exports.queryVideos(req, res);
+    }
+
+    if (!record['Name']) {
+      console.log(`› ${req.params.kind} record "${req.params.id}" has no name to match videos by.`);
+      return sendFormatted(res, [], getResponseFormat(req));
+    }
+
+    req.query = { ...req.query, [linkedVideoParams.get(req.params.kind)]: record['Name'] };
+    return module.exports.queryVideos(req, res);
+  },
+  
+  /**
+   *  Warms the cache with {@link warmCache} once at startup, and then every {@link cacheWarmInterval} seconds, unless the interval is 0, so that the first requests after idle periods don't have to wait for Airtable
+   *
+   *  @method startCacheWarmer
+   *  @returns {?Timeout} The timer that warms the cache, or null if the cache is never warmed
+   */
+
+  startCacheWarmer: () => {
+    if (cacheWarmTimer || cacheWarmInterval === 0) return cacheWarmTimer;
+
+    cacheWarmTimer = setInterval(() => {
+      warmCache().catch((err) => console.error('[ERROR] Cache warmer failed.', err));
+    }, cacheWarmInterval * 1000);
+
+    if (typeof cacheWarmTimer.unref === 'function') cacheWarmTimer.unref();
+    warmCache().catch((err) => console.error('[ERROR] Cache warmer failed at startup.', err));
+    return cacheWarmTimer;
+  },
+
+  /**
+   *  Marks every cached response that could include one or more created, updated, or deleted ESOVDB records as stale, so that they're loaded fresh from Airtable on their next request, and removes deleted videos and submissions from the cached data of all videos or submissions, which is only ever updated with modified records
+   *
+   *  @async
+   *  @method invalidateRecords
+   *  @requires cache.invalidate
+   *  @param {string} table - The name of the records' table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+   *  @param {string[]} ids - The Airtable record IDs of the changed records
+   *  @param {('create'|'update'|'delete')} [op='update'] - The operation that changed the records
+   *  @returns {Promise<void>} A promise that resolves once the cache is invalidated, which never rejects, so that a failed invalidation never fails a sync
+   *  @sideEffects Writes invalidation markers for {@link invalidatedCachePaths} of {@link table} to the cache, and overwrites the cached data of all videos or submissions if any were deleted
+   */
+
+  invalidateRecords: async (table, ids, op = 'update') => {
+    if (!invalidatedCachePaths.has(table)) return;
+    ids = ids.filter(Boolean);
+    await cache.invalidate(invalidatedCachePaths.get(table)(ids));
+
+    if (op === 'delete' && (table === 'Videos' || table === 'Submissions') && ids.length > 0) {
+      const allPath = `.cache/v1/${table.toLowerCase()}/query/all.json`;
+      const all = await cache.readCacheWithPath(allPath, false);
+
+      if (all && all.some((record) => ids.includes(record.recordId))) {
+        await cache.writeCacheWithPath(allPath, all.filter((record) => !ids.includes(record.recordId)), { ttl: 0 });
+        console.log(`› Removed ${ids.length} deleted record${ids.length === 1 ? '' : 's'} from the cached ${table.toLowerCase()}.`);
+      }
+    }
+  },
+
+  /**
+   *  Lists cached responses, most recently written first, with the age and size of each, for administering the cache
+   *
+   *  @async
+   *  @method listCacheEntries
+   *  @requires cache.listEntries
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} [req.query.prefix] - An [http request]{@link req} URL query param that limits the list to cache keys starting with a prefix (e.g. 'v1/videos/query')
+   *  @param {number} [req.query.limit=100] - An [http request]{@link req} URL query param that specifies the maximum number of cache entries to send (max: 1000)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Sends an HTTPServerResponse object to the requesting client, containing the cache backend, cache interval, total number of matching entries, and the entries themselves as JSON
+   */
+
+  listCacheEntries: async (req, res) => {
+    const prefix = req.query.prefix || '';
+    const limit = !req.query.limit || isNaN(req.query.limit) || +req.query.limit <= 0 ? 100 : Math.min(Math.floor(+req.query.limit), 1000);
+
+    try {
+      validateCacheKey(prefix, 'prefix', true);
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    try {
+      console.log(`Performing admin/cache list API request${prefix ? ` for "${prefix}"` : ''}...`);
+      const entries = await cache.listEntries(prefix);
+      const now = Date.now();
+      console.log(`[DONE] Listed ${Math.min(entries.length, limit)} of ${entries.length} cache entries.`);
+
+      res.status(200).send(JSON.stringify({
+        backend: cache.backendName(),
+        interval: cache.getCacheInterval(),
+        total: entries.length,
+        entries: entries.slice(0, limit).map(({ key, written, size }) => ({ key, age: written === null ? null : Math.max(Math.round((now - written) / 1000), 0), size }))
+      }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to list cache entries. ${err.message}`);
+      res.status(500).send(JSON.stringify({ error: { code: 'CACHE_LIST_FAILED', message: err.message } }));
+    }
+  },
+
+  /**
+   *  Reports the number of cache hits, stale hits, and misses for each family of routes (e.g. 'videos/query', 'videos/:id'), along with their hit ratio, for administering the cache
+   *
+   *  @async
+   *  @method getCacheStats
+   *  @requires cache.cacheStats
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Sends an HTTPServerResponse object to the requesting client, containing the cache stats of each route family, and of all routes together, as JSON
+   */
+
+  getCacheStats: async (req, res) => {
+    try {
+      console.log('Performing admin/cache stats API request...');
+      const families = await cache.cacheStats();
+
+      const total = Object.values(families).reduce((sum, family) => ({
+        hits: sum.hits + family.hits,
+        stale: sum.stale + family.stale,
+        misses: sum.misses + family.misses
+      }), { hits: 0, stale: 0, misses: 0 });
+
+      const reads = total.hits + total.stale + total.misses;
+      total.hitRatio = reads > 0 ? Number(((total.hits + total.stale) / reads).toFixed(4)) : null;
+
+      console.log(`[DONE] Reported cache stats for ${Object.keys(families).length} route families.`);
+      res.status(200).send(JSON.stringify({ backend: cache.backendName(), total, families }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to report cache stats. ${err.message}`);
+      res.status(500).send(JSON.stringify({ error: { code: 'CACHE_STATS_FAILED', message: err.message } }));
+    }
+  },
+
+  /**
+   *  Purges cached responses by cache key, by cache key prefix, or by ESOVDB record ID, where purging a record removes its own cached responses and marks every other cached response that could include it as stale with {@link invalidateRecords}
+   *
+   *  @async
+   *  @method purgeCache
+   *  @requires cache.removeEntries
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} [req.query.key] - An [http request]{@link req} URL query param with the key of a single cache entry to purge, as listed by {@link listCacheEntries}
+   *  @param {string} [req.query.prefix] - An [http request]{@link req} URL query param with a cache key prefix, every entry under which is purged (e.g. 'v1/videos/query')
+   *  @param {string} [req.query.recordId] - An [http request]{@link req} URL query param with the Airtable record ID of an ESOVDB record, whose cached responses are purged
+   *  @param {string} [req.query.kind='videos'] - An [http request]{@link req} URL query param with the kind of record {@link req.query.recordId} belongs to (i.e. 'videos', 'series', 'topics', 'tags', 'people', 'organizations', or 'submissions')
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Removes cache entries, or marks them as stale, and sends an HTTPServerResponse object to the requesting client, containing the number of cache entries removed as JSON
+   */
+
+  purgeCache: async (req, res) => {
+    const { key, prefix, recordId, kind = 'videos' } = req.query;
+
+    try {
+      const targets = [ key, prefix, recordId ].filter((target) => typeof target !== 'undefined');
+
+      if (targets.length !== 1) {
+        const err = new Error('Specify exactly one of "key", "prefix", or "recordId" to purge.');
+        err.status = 400;
+        err.code = 'INVALID_PURGE';
+        throw err;
+      }
+
+      if (typeof key !== 'undefined') validateCacheKey(key, 'key');
+      if (typeof prefix !== 'undefined') validateCacheKey(prefix, 'prefix');
+
+      if (typeof recordId !== 'undefined' && (!regexRecordId.test(recordId) || !tables.has(kind) || !invalidatedCachePaths.has(tables.get(kind)))) {
+        const err = new Error(`Invalid record ID "${recordId}" or kind "${kind}". Valid kinds are: ${[ ...tables.keys() ].filter((k) => invalidatedCachePaths.has(tables.get(k))).map((k) => `"${k}"`).join(', ')}.`);
+        err.status = 400;
+        err.code = 'INVALID_PURGE';
+        throw err;
+      }
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    try {
+      let purged;
+
+      if (typeof key !== 'undefined') {
+        console.log(`Performing admin/cache purge API request for key "${key}"...`);
+        purged = await cache.removeEntries([ key ]);
+      } else if (typeof prefix !== 'undefined') {
+        console.log(`Performing admin/cache purge API request for prefix "${prefix}"...`);
+        purged = await cache.removeEntries((await cache.listEntries(prefix)).map((entry) => entry.key));
+      } else {
+        console.log(`Performing admin/cache purge API request for ${kind} record "${recordId}"...`);
+        purged = await cache.removeEntries((await cache.listEntries(`v1/${kind}/${recordId}`)).map((entry) => entry.key));
+        await module.exports.invalidateRecords(tables.get(kind), [ recordId ]);
+      }
+
+      console.log(`[DONE] Purged ${purged} cache entr${purged === 1 ? 'y' : 'ies'}.`);
+      res.status(200).send(JSON.stringify({ ...(key ? { key } : prefix ? { prefix } : { recordId, kind, invalidated: true }), purged }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to purge cache. ${err.message}`);
+      res.status(500).send(JSON.stringify({ error: { code: 'CACHE_PURGE_FAILED', message: err.message } }));
+    }
+  },
+
+  /**
+   *  Sets the number of seconds after which cached responses are no longer fresh, for every instance of node, with {@link cache.setCacheInterval}, which the other instances apply once they next read it, within 30 seconds
+   *
+   *  @async
+   *  @method updateCacheInterval
+   *  @requires cache.setCacheInterval
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {number} req.body.interval - The new cache interval, in integer seconds (max: 86400)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Changes the cache interval, and sends an HTTPServerResponse object to the requesting client, containing the new and previous cache intervals as JSON
+   */
+
+  updateCacheInterval: async (req, res) => {
+    const interval = req.body ? req.body.interval : undefined;
+
+    if (interval === null || interval === '' || !Number.isInteger(+interval) || +interval < 0 || +interval > 60 * 60 * 24) {
+      console.error(`[ERROR] Invalid cache interval "${interval}".`);
+      return res.status(400).send(JSON.stringify({ error: { code: 'INVALID_INTERVAL', message: '"interval" must be an integer number of seconds, from 0 to 86400.' } }));
+    }
+
+    try {
+      const previous = await cache.refreshCacheInterval();
+      await cache.setCacheInterval(+interval);
+      console.log(`[DONE] Cache interval changed from ${previous}s to ${+interval}s.`);
+      res.status(200).send(JSON.stringify({ interval: +interval, previous }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to change cache interval. ${err.message}`);
+      res.status(500).send(JSON.stringify({ error: { code: 'CACHE_INTERVAL_FAILED', message: err.message } }));
+    }
+  },
+
+  /**
+   *  Updates one or more Airtable records using the non-destructive Airtable update() method, at most 10 at a time, until all provided records have been updated, using Bottleneck for rate-limiting, and then invalidates any cached responses that include them with {@link invalidateRecords}.
    *
    *  @method processUpdates
    *  @requires Airtable
@@ -1008,7 +2039,7 @@ module.exports = {
    */
   
   processUpdates: (items, table) => {
-    let i = 0, updates = [ ...items ], queue = items.length;
+    let i = 0, updates = [ ...items ], queue = items.length, pending = [];
 
     while (updates.length) {
       const batch = updates.splice(0, 10);
@@ -1027,8 +2058,13 @@ module.exports = {
       );
   
       i++;
-      rateLimiter.wrap(base(table).update(batch));
+      pending.push(rateLimiter.schedule(() => base(table).update(batch)));
     }
+
+    Promise.allSettled(pending).then((results) => {
+      results.filter(({ status }) => status === 'rejected').forEach(({ reason }) => console.error(`[ERROR] Unable to update records in table "${table}". ${reason.message}`));
+      return module.exports.invalidateRecords(table, items.map((item) => item.id));
+    });
     
     return items;
   },
@@ -1120,22 +2156,32 @@ module.exports = {
    *
    *  @async
    *  @method updateLatest
+   *  @requires search.indexVideos
    *  @param {Boolean} [useCache=true] - Whether or not data on the 'latest' data (i.e. modifications to ESOVDB videos data made in the past 24 hours) should be pulled from the cache, or freshly retrieved from the ESOVDB Airtable
-   *  @sideEffects Reads from and writes to (overwrites) a JSON file containing all video data in the ESOVDB with any modifications made in the past 24 hours
-   *  @returns {Object[]} Returns all ESOVDB videos data with any (if there are any) modifications made in the past 24 hours
+   *  @param {!express:Response} [streamTo=null] - An Express.js HTTP response context to stream every video to as NDJSON, page by page as each is retrieved from Airtable, if no videos are cached, rather than retrieving them all in memory first, in which case they aren't cached
+   *  @sideEffects Reads from and writes to (overwrites) the cached data of all videos in the ESOVDB with any modifications made in the past 24 hours, retrieving every video from Airtable first if none are cached, and rebuilds the search index if any videos have changed
+   *  @returns {?Object[]} Returns all ESOVDB videos data with any (if there are any) modifications made in the past 24 hours, or null if they were streamed to {@link streamTo}
    */
   
-  updateLatest: async (useCache = true) => {
+  updateLatest: async (useCache = true, streamTo = null) => {
     let result, lastTime = new Date(); lastTime.setHours(0); lastTime.setMinutes(0); lastTime.setSeconds(0); lastTime.setMilliseconds(0); lastTime.setDate(lastTime.getDate() - 1);
     const modifiedAfter = encodeURIComponent(lastTime.toLocaleString());
-    const existing = cache.readCacheWithPath('.cache/v1/videos/query/all.json', false);
-    const cachedModified = useCache ? cache.readCacheWithPath('.cache/v1/videos/query/latest.json') : null;
+    const cachedExisting = await cache.readCacheWithPath('.cache/v1/videos/query/all.json', false);
+
+    if (!cachedExisting && streamTo) {
+      console.log('› No video data cached, so streaming every video from Airtable as it is retrieved, without caching it.');
+      await module.exports.queryVideos({ url: '/v1/videos/query/all', params: {}, query: { format: 'ndjson' }, headers: {} }, streamTo);
+      return null;
+    }
+
+    const existing = cachedExisting ? cachedExisting : await module.exports.queryVideos({ url: '/v1/videos/query/all', query: {} });
+    const cachedModified = useCache ? await cache.readCacheWithPath('.cache/v1/videos/query/latest.json', true, () => module.exports.updateLatest(false)) : null;
     const modified = cachedModified ? cachedModified : await module.exports.queryVideos({ url: '/v1/videos/query/latest', query: { modifiedAfter } });
     await sleep(5);
 
-    if (modified.length > 0) {
+    if (modified.length > 0 || !cachedExisting) {
       result = [ ...existing.filter((e) => !modified.some((m) => m.recordId === e.recordId)), ...modified ].sort((a, b) => Date.parse(b.modified) - Date.parse(a.modified));
-      cache.writeCacheWithPath('.cache/v1/videos/query/all.json', result);
+      cache.writeCacheWithPath('.cache/v1/videos/query/all.json', result, { ttl: 0 });
       console.log('› Overwrote existing video data with modified videos and rewrote cache.');
     } else {
       result = existing;
@@ -1143,6 +2189,7 @@ module.exports = {
     }
     
     console.log(`[DONE] Successfully retrieved ${result.length} videos.`);
+    search.indexVideos(result);
     return result;
   },
   
@@ -1152,21 +2199,22 @@ module.exports = {
    *  @async
    *  @method updateLatestSubmissions
    *  @param {Boolean} [useCache=true] - Whether or not data on the 'latest' data (i.e. modifications to ESOVDB submissions data made in the past 24 hours) should be pulled from the cache, or freshly retrieved from the ESOVDB Airtable
-   *  @sideEffects Reads from and writes to (overwrites) a JSON file containing all submissions data in the ESOVDB with any modifications made in the past 24 hours
+   *  @sideEffects Reads from and writes to (overwrites) the cached data of all submissions in the ESOVDB with any modifications made in the past 24 hours, retrieving every submission from Airtable first if none are cached
    *  @returns {Object[]} Returns all ESOVDB submissions data with any (if there are any) modifications made in the past 24 hours
    */
   
   updateLatestSubmissions: async (useCache = true) => {
     let result, lastTime = new Date(); lastTime.setHours(0); lastTime.setMinutes(0); lastTime.setSeconds(0); lastTime.setMilliseconds(0); lastTime.setDate(lastTime.getDate() - 1);
     const createdAfter = encodeURIComponent(lastTime.toLocaleString());
-    const existing = cache.readCacheWithPath('.cache/v1/submissions/query/all.json', false);
-    const cachedModified = useCache ? cache.readCacheWithPath('.cache/v1/submissions/query/latest.json') : null;
+    const cachedExisting = await cache.readCacheWithPath('.cache/v1/submissions/query/all.json', false);
+    const existing = cachedExisting ? cachedExisting : await module.exports.querySubmissions({ url: '/v1/submissions/query/all', query: {} });
+    const cachedModified = useCache ? await cache.readCacheWithPath('.cache/v1/submissions/query/latest.json', true, () => module.exports.updateLatestSubmissions(false)) : null;
     const modified = cachedModified ? cachedModified : await module.exports.querySubmissions({ url: '/v1/submissions/query/latest', query: { createdAfter } });
     await sleep(5);
 
-    if (modified.length > 0) {
+    if (modified.length > 0 || !cachedExisting) {
       result = [ ...existing.filter((e) => !modified.some((m) => m.recordId === e.recordId)), ...modified ].sort((a, b) => Date.parse(b.modified) - Date.parse(a.modified));
-      cache.writeCacheWithPath('.cache/v1/submissions/query/all.json', result);
+      cache.writeCacheWithPath('.cache/v1/submissions/query/all.json', result, { ttl: 0 });
       console.log('› Overwrote existing submission data with modified submissions and rewrote cache.');
     } else {
       result = existing;
@@ -1184,6 +2232,7 @@ module.exports = {
    *  @method getLatest
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {Object[]} req.body - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ]) passed as the body of the [server request]{@link req}
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the entire response (e.g. 'csv', 'geojson', 'xml', 'jsonld'), JSON by default
    *  @param {!express:Response} [res=false] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class or Boolean false, by default, which allows the function to distinguish between external clients, which need to be sent an HTTPServerResponse object, and internal usage of the function, which need to return a value
    *  @sideEffects Overwrites a JSON file containing all video data in the ESOVDB with any modifications made in the past 24 hours. If {@link res} is provided, sends an HTTPServerResponse object to the requesting client
    *  @returns {Object[]} If {@link res} is not provided (i.e. internal consumption of this API method), returns all ESOVDB videos data with any modifications made in the past 24 hours
@@ -1192,8 +2241,10 @@ module.exports = {
   getLatest: async (req, res = false) => {
     try {
       console.log(`Performing videos/all ${res ? 'external' : 'internal'} API request...`);
-      const latest = await module.exports.updateLatest(req.headers && req.headers['esovdb-no-cache'] && req.headers['esovdb-no-cache'] === process.env.ESOVDB_NO_CACHE ? false : true);
-      if (res) res.status(200).send(JSON.stringify(latest));
+      const responseFormat = res ? responseFormats.get(getResponseFormat(req)) : null;
+      const latest = await module.exports.updateLatest(!bypassesCache(req), responseFormat && responseFormat.stream ? res : null);
+      if (latest === null) return;
+      if (res) sendFormatted(res, latest, getResponseFormat(req));
       else return latest;
     } catch (err) {
       if (res) res.status(500).end(JSON.stringify(err));
@@ -1208,6 +2259,7 @@ module.exports = {
    *  @method getLatestSubmissions
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {Object[]} req.body - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ]) passed as the body of the [server request]{@link req}
+   *  @param {string} [req.query.format] - An [http request]{@link req} URL query param that specifies the output format of the entire response (e.g. 'csv', 'xml'), JSON by default
    *  @param {!express:Response} [res=false] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class or Boolean false, by default, which allows the function to distinguish between external clients, which need to be sent an HTTPServerResponse object, and internal usage of the function, which need to return a value
    *  @sideEffects Overwrites a JSON file containing all video data in the ESOVDB with any modifications made in the past 24 hours. If {@link res} is provided, sends an HTTPServerResponse object to the requesting client
    *  @returns {Object[]} If {@link res} is not provided (i.e. internal consumption of this API method), returns all ESOVDB submissions data with any modifications made in the past 24 hours
@@ -1216,8 +2268,8 @@ module.exports = {
   getLatestSubmissions: async (req, res = false) => {
     try {
       console.log(`Performing submissions/all ${res ? 'external' : 'internal'} API request...`);
-      const latest = await module.exports.updateLatestSubmissions(req.headers && req.headers['esovdb-no-cache'] && req.headers['esovdb-no-cache'] === process.env.ESOVDB_NO_CACHE ? false : true);
-      if (res) res.status(200).send(JSON.stringify(latest));
+      const latest = await module.exports.updateLatestSubmissions(!bypassesCache(req));
+      if (res) sendFormatted(res, latest, getResponseFormat(req), 'submissions');
       else return latest;
     } catch (err) {
       if (res) res.status(500).end(JSON.stringify(err));
@@ -1225,6 +2277,195 @@ module.exports = {
     }
   },
   
+  /**
+   *  Sends an RSS or Atom feed of the videos most recently added to the ESOVDB, sorted by the date they were added ('ISO Added'), built from the same data as {@link getLatest}, and optionally filtered by the same URL query params as {@link queryVideos}
+   *
+   *  @async
+   *  @method getFeed
+   *  @requires formats.toRSS
+   *  @requires formats.toAtom
+   *  @requires filters.parseVideoFilters
+   *  @requires filters.matchesVideoFilters
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {('rss'|'atom')} req.params.feedType - The kind of feed to send, from the extension of the requested feed's filename
+   *  @param {Object} [req.query] - [http request]{@link req} URL query params that limit the feed to videos matching the given topic, format, tags, series, presenter, publisher, language, year range, and/or running time range, as parsed by {@link filters.parseVideoFilters}; 'format' is always treated as an ESOVDB format here, since feeds have no other output formats
+   *  @param {number} [req.query.limit=50] - An [http request]{@link req} URL query param that specifies the maximum number of videos to include in the feed (max: 500)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Sends an HTTPServerResponse object to the requesting client, containing an RSS 2.0 or Atom feed
+   */
+
+  getFeed: async (req, res) => {
+    const feedType = req.params.feedType === 'atom' ? 'atom' : 'rss';
+    const limit = !req.query.limit || isNaN(req.query.limit) || +req.query.limit <= 0 ? 50 : Math.min(+req.query.limit, 500);
+    let filters;
+
+    try {
+      filters = parseVideoFilters({ ...req.query, videoFormat: req.query.videoFormat || req.query.format });
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code || 'INVALID_VIDEO_FILTER', message: err.message } }));
+    }
+
+    try {
+      console.log(`Performing videos.${feedType} feed API request...`);
+      const videos = await module.exports.updateLatest();
+
+      const items = videos
+        .filter((video) => video.accessDate)
+        .filter((video) => matchesVideoFilters(video, filters))
+        .sort((a, b) => b.accessDate.localeCompare(a.accessDate))
+        .slice(0, limit);
+
+      const labels = [ filters.topic, filters.format, filters.series, filters.presenter, filters.publisher, filters.language, ...filters.tags ].filter(Boolean);
+
+      const feed = {
+        title: `Earth Science Online Video Database: New Videos${labels.length ? ` (${labels.join(', ')})` : ''}`,
+        description: `The latest videos added to the Earth Science Online Video Database${labels.length ? `, filtered by ${labels.join(', ')}` : ''}.`,
+        link: 'https://www.esovdb.org',
+        self: `${req.protocol}://${req.get('host')}${req.originalUrl}`
+      };
+
+      console.log(`[DONE] Sending ${items.length} videos in ${feedType} feed.`);
+      res.status(200)
+        .type(feedType === 'atom' ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8')
+        .send(feedType === 'atom' ? toAtom(items, feed) : toRSS(items, feed));
+    } catch (err) {
+      console.error(`[ERROR] Unable to build ${feedType} feed. ${err.message}`);
+      res.status(500).send(`Unable to build ${feedType} feed.`);
+    }
+  },
+  
+  /**
+   *  Searches the full text of all ESOVDB videos with the in-process search index, built from the same cached data as {@link getLatest}, and sends the results ranked by relevance, with highlighted titles and snippets of their descriptions
+   *
+   *  @async
+   *  @method searchVideos
+   *  @requires search.searchVideos
+   *  @requires filters.parseVideoFilters
+   *  @requires filters.matchesVideoFilters
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.query.q - An [http request]{@link req} URL query param with the words to search for, and any phrases to require, in double quotes (e.g. 'subduction zone earthquakes' or '"mid-ocean ridge" basalt')
+   *  @param {number} [req.query.limit=20] - An [http request]{@link req} URL query param that specifies the maximum number of results to send (max: 100)
+   *  @param {number} [req.query.offset=0] - An [http request]{@link req} URL query param that specifies the number of results to skip, for paging through results
+   *  @param {Object} [req.query] - [http request]{@link req} URL query params that limit results to videos matching the given topic, format, tags, series, presenter, publisher, language, year range, and/or running time range, as parsed by {@link filters.parseVideoFilters}; 'format' is always treated as an ESOVDB format here, since search results are always JSON
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Refreshes the search index with {@link refreshSearchIndex}, and sends an HTTPServerResponse object to the requesting client, containing the search results as JSON
+   */
+  
+  searchVideos: async (req, res) => {
+    const q = req.query.q;
+    const limit = !req.query.limit || isNaN(req.query.limit) || +req.query.limit <= 0 ? 20 : Math.min(Math.floor(+req.query.limit), 100);
+    const offset = !req.query.offset || isNaN(req.query.offset) || +req.query.offset < 0 ? 0 : Math.floor(+req.query.offset);
+    let filters;
+
+    try {
+      if (typeof q !== 'string' || !q.trim() || q.length > 200) {
+        const err = new Error(`"q" is required, and must be a single search query of up to 200 characters.`);
+        err.status = 400;
+        err.code = 'INVALID_SEARCH_QUERY';
+        throw err;
+      }
+
+      filters = parseVideoFilters({ ...req.query, videoFormat: req.query.videoFormat || req.query.format });
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    try {
+      console.log(`Performing search API request for "${q}"...`);
+      await refreshSearchIndex();
+
+      const { total, results } = search.searchVideos(q, { filter: (video) => matchesVideoFilters(video, filters), limit, offset });
+      console.log(`[DONE] Found ${total} videos matching "${q}".`);
+      res.status(200).send(JSON.stringify({ query: q, total, limit, offset, results }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to search videos. ${err.message}`);
+      res.status(err.status || 500).send(JSON.stringify({ error: { code: err.code || 'SEARCH_FAILED', message: err.message } }));
+    }
+  },
+  
+  /**
+   *  Recommends videos related to a single ESOVDB video, ranked by their shared tags, topic, series, and presenters, the proximity of their locations, and the similarity of their descriptions, all computed locally from the same cached data as {@link getLatest}, without any additional Airtable API calls
+   *
+   *  @async
+   *  @method getRelatedVideos
+   *  @requires search.relatedVideos
+   *  @requires filters.parseVideoFilters
+   *  @requires filters.matchesVideoFilters
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.id - An Express.js route param with the video's Airtable record ID
+   *  @param {number} [req.query.limit=10] - An [http request]{@link req} URL query param that specifies the maximum number of related videos to send (max: 50)
+   *  @param {Object} [req.query] - [http request]{@link req} URL query params that limit related videos to those matching the given topic, format, tags, series, presenter, publisher, language, year range, and/or running time range, as parsed by {@link filters.parseVideoFilters}; 'format' is always treated as an ESOVDB format here, since related videos are always JSON
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Refreshes the search index with {@link refreshSearchIndex}, and sends an HTTPServerResponse object to the requesting client, containing the related videos as JSON
+   */
+
+  getRelatedVideos: async (req, res) => {
+    const id = req.params.id;
+    const limit = !req.query.limit || isNaN(req.query.limit) || +req.query.limit <= 0 ? 10 : Math.min(Math.floor(+req.query.limit), 50);
+    let filters;
+
+    try {
+      if (!regexRecordId.test(id || '')) {
+        const err = new Error('Invalid or no ESOVDB record ID specified.');
+        err.status = 400;
+        err.code = 'INVALID_RECORD_ID';
+        throw err;
+      }
+
+      filters = parseVideoFilters({ ...req.query, videoFormat: req.query.videoFormat || req.query.format });
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      return res.status(err.status || 400).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+    }
+
+    try {
+      console.log(`Performing related videos API request for "${id}"...`);
+      await refreshSearchIndex();
+
+      const results = search.relatedVideos(id, { filter: (video) => matchesVideoFilters(video, filters), limit });
+
+      if (results === null) {
+        console.error(`[ERROR] Unable to find video "${id}" in the cached videos.`);
+        return res.status(404).send(JSON.stringify({ error: { code: 'NOT_FOUND', message: 'Unable to find matching video.' } }));
+      }
+
+      console.log(`[DONE] Found ${results.length} videos related to "${id}".`);
+      res.status(200).send(JSON.stringify({ id, limit, results }));
+    } catch (err) {
+      console.error(`[ERROR] Unable to find related videos. ${err.message}`);
+      res.status(err.status || 500).send(JSON.stringify({ error: { code: err.code || 'RELATED_VIDEOS_FAILED', message: err.message } }));
+    }
+  },
+
+  /**
+   *  Executes a GraphQL query over ESOVDB videos and the series, topics, tags, people, and organizations they're linked to, resolving nested links in a single request, with the Airtable lookups for each level of the query batched together and rate-limited with Bottleneck
+   *
+   *  @async
+   *  @method queryGraphQL
+   *  @requires graphql.executeQuery
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.body.query - The GraphQL query document, sent in the JSON body of a POST request, or as the 'query' URL query param of a GET request
+   *  @param {(Object|string)} [req.body.variables] - The values of the query's variables, sent in the JSON body of a POST request, or as a JSON string in the 'variables' URL query param of a GET request
+   *  @param {string} [req.body.operationName] - The name of the operation to execute, if the query has more than one
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @sideEffects Queries the ESOVDB Airtable base and sends an HTTPServerResponse object to the requesting client, containing the GraphQL response as JSON
+   */
+
+  queryGraphQL: async (req, res) => {
+    try {
+      console.log('Performing GraphQL API request...');
+      const { status, body } = await graphql.executeQuery(req.method === 'POST' ? req.body || {} : req.query, graphSources, req.plan ? req.plan.maxPageSize : undefined);
+      if (body.errors) console.error(`[ERROR] ${body.errors.map(({ message }) => message).join(' ')}`);
+      else console.log('[DONE] GraphQL query executed.');
+      res.status(status).type('application/json').send(JSON.stringify(body));
+    } catch (err) {
+      console.error(`[ERROR] Unable to execute GraphQL query. ${err.message}`);
+      res.status(500).send(JSON.stringify({ errors: [ { message: 'Unable to execute GraphQL query.', extensions: { code: 'INTERNAL_SERVER_ERROR' } } ] }));
+    }
+  },
+  
   addSubmissionFromYouTubeVideo: async (video, submittedBy = 'ESOVDB API', submissionSource = 'ESOVDB API') => {
     const created = await rateLimiter.wrap(
       base('Submissions').create({
@@ -1279,7 +2520,7 @@ module.exports = {
       if (!regexYTVideoId.test(req.params.id)) return res.status(400).send('Invalid YouTube Video ID.');
       const { getVideo } = require('./youtube');
       const video = await getVideo(req.params.id);
-      const ip = (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
+      const ip = req.ip;
       await module.exports.addSubmissionFromYouTubeVideo(video, ip || '', 'Is YouTube Video on ESOVDB?');
       return res.status(200).send(JSON.stringify(video));
     } catch (err) {
@@ -0,0 +1,82 @@
+/**
+ *  @file Parsing of the 'facets' URL query param, and counting of facet values (e.g. videos per topic or decade) across a set of ESOVDB videos, for building filter sidebars
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module facets
+ */
+
+/** @constant {number} maxTagFacets - The maximum number of tags to count in the 'tags' facet, which only includes the most common tags */
+const maxTagFacets = 25;
+
+/** @constant {Map} facetValues - Maps each facet that can be requested to a function that returns the facet's value(s) for a video formatted with videoFormat.toZoteroJSON, where the 'year' facet counts videos by decade */
+const facetValues = new Map([
+  [ 'topic', (video) => [ video.topic ] ],
+  [ 'format', (video) => [ video.format ] ],
+  [ 'year', (video) => [ video.year ? `${Math.floor(+video.year / 10) * 10}s` : null ] ],
+  [ 'language', (video) => [ video.language ] ],
+  [ 'tags', (video) => video.tags || [] ]
+]);
+
+/**
+ *  Creates an error for an invalid 'facets' URL query param, which can be sent to the client with a 400 status
+ *
+ *  @function facetError
+ *  @param {string} message - A description of the invalid value and what would be valid instead
+ *  @returns {Error} An error with a 400 status and the code 'INVALID_FACETS'
+ */
+
+const facetError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_FACETS';
+  return err;
+};
+
+module.exports = {
+  /**
+   *  Parses and validates the 'facets' URL query param, a comma-separated list of facets (e.g. 'topic,format,year,tags')
+   *
+   *  @method parseFacets
+   *  @param {(string|string[])} [value] - The value of the 'facets' URL query param
+   *  @returns {?string[]} The list of requested facets, or null if {@link value} wasn't sent
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_FACETS' if {@link value} is empty or has unknown facets
+   */
+
+  parseFacets: (value) => {
+    if (typeof value === 'undefined') return null;
+    const names = [ ...new Set([].concat(value).join(',').split(',').map((name) => name.trim()).filter(Boolean)) ];
+
+    if (names.length === 0) throw facetError(`"facets" cannot be empty.`);
+
+    const unknown = names.filter((name) => !facetValues.has(name));
+    if (unknown.length > 0) throw facetError(`Unknown facet(s) ${unknown.map((f) => `"${f}"`).join(', ')}. Valid facets are: ${[ ...facetValues.keys() ].map((f) => `"${f}"`).join(', ')}.`);
+
+    return names;
+  },
+
+  /**
+   *  Counts the videos with each value of each requested facet, most common first, or, for the 'year' facet, most recent decade first
+   *
+   *  @method countFacets
+   *  @param {Object[]} videos - ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @param {string[]} names - The facets to count, as parsed by {@link parseFacets}
+   *  @returns {Object} Maps each facet in {@link names} to a list of its values and their counts (i.e. { topic: [ { value: 'Geo-Archaeology', count: 12 }, ... ], ... }), where videos without a value are left out
+   *
+   *  @example
+   *  // returns { year: [ { value: '2010s', count: 2 }, { value: '1990s', count: 1 } ] }
+   *  countFacets([ { year: 2014 }, { year: 1998 }, { year: 2019 } ], [ 'year' ]);
+   */
+
+  countFacets: (videos, names) => Object.fromEntries(names.map((name) => {
+    const counts = new Map();
+
+    videos.forEach((video) => new Set(facetValues.get(name)(video)).forEach((value) => {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }));
+
+    const values = [ ...counts ]
+      .map(([ value, count ]) => ({ value, count }))
+      .sort((a, b) => name === 'year' ? b.value.localeCompare(a.value) : b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+    return [ name, name === 'tags' ? values.slice(0, maxTagFacets) : values ];
+  }))
+};
@@ -0,0 +1,158 @@
+/**
+ *  @file Whitelists of the fields of ESOVDB tables that clients can sort by and select, and parsing of the 'sort' and 'fields' URL query params of query endpoints
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module fields
+ */
+
+/** @constant {Map} videoFields - Maps the name of each field of an ESOVDB video, as formatted with videoFormat.toZoteroJSON, to the Airtable field(s) it is built from in the Videos table */
+const videoFields = new Map([
+  [ 'zoteroKey', [ 'Zotero Key' ]],
+  [ 'zoteroVersion', [ 'Zotero Version' ]],
+  [ 'zoteroSeries', [ 'Series Zotero Key' ]],
+  [ 'title', [ 'Title' ]],
+  [ 'url', [ 'URL' ]],
+  [ 'year', [ 'Year' ]],
+  [ 'desc', [ 'Description' ]],
+  [ 'runningTime', [ 'Running Time' ]],
+  [ 'format', [ 'Format' ]],
+  [ 'topic', [ 'Topic' ]],
+  [ 'tags', [ 'Tags' ]],
+  [ 'learnMore', [ 'Learn More' ]],
+  [ 'series', [ 'Series Text' ]],
+  [ 'seriesCount', [ 'Series Count Text' ]],
+  [ 'vol', [ 'Vol.' ]],
+  [ 'no', [ 'No.' ]],
+  [ 'publisher', [ 'Publisher Text' ]],
+  [ 'presenters', [ 'Presenter First Name', 'Presenter Last Name' ]],
+  [ 'language', [ 'Language Code' ]],
+  [ 'location', [ 'Location' ]],
+  [ 'plusCode', [ 'Plus Code' ]],
+  [ 'provider', [ 'Video Provider' ]],
+  [ 'esovdbId', [ 'ESOVDBID' ]],
+  [ 'recordId', [ 'Record ID' ]],
+  [ 'accessDate', [ 'ISO Added' ]],
+  [ 'created', [ 'Created' ]],
+  [ 'modified', [ 'Modified' ]]
+]);
+
+/** @constant {Map} submissionFields - Maps the name of each field of an ESOVDB submission that clients can sort by or select to its Airtable field in the Submissions table */
+const submissionFields = new Map([
+  [ 'title', [ 'Title' ]],
+  [ 'url', [ 'URL' ]],
+  [ 'description', [ 'Description' ]],
+  [ 'year', [ 'Year' ]],
+  [ 'date', [ 'Date' ]],
+  [ 'runningTime', [ 'Running Time' ]],
+  [ 'medium', [ 'Medium' ]],
+  [ 'channel', [ 'YouTube Channel Title' ]],
+  [ 'channelId', [ 'YouTube Channel ID' ]],
+  [ 'submissionSource', [ 'Submission Source' ]],
+  [ 'submittedBy', [ 'Submitted by' ]],
+  [ 'recordId', [ 'Record ID' ]],
+  [ 'created', [ 'Created' ]]
+]);
+
+/** @constant {Map} tableFields - Maps each kind of ESOVDB record to the whitelist of its fields that clients can sort by and select */
+const tableFields = new Map([
+  [ 'videos', videoFields ],
+  [ 'submissions', submissionFields ]
+]);
+
+/** @constant {string[]} listFields - Fields of ESOVDB records that hold lists of values, and so can be selected, but not sorted by */
+const listFields = [ 'tags', 'presenters' ];
+
+/** @constant {number} maxSortFields - The maximum number of fields that results can be sorted by at once */
+const maxSortFields = 5;
+
+/**
+ *  Creates an error for an invalid 'sort' or 'fields' URL query param, which can be sent to the client with a 400 status
+ *
+ *  @function fieldError
+ *  @param {string} message - A description of the invalid value and what would be valid instead
+ *  @param {string} code - The error's code, either 'INVALID_SORT' or 'INVALID_FIELDS'
+ *  @returns {Error} An error with a 400 status and the given code
+ */
+
+const fieldError = (message, code) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+};
+
+/**
+ *  Splits the value of a comma-separated URL query param into a list of trimmed names, allowing the param to be repeated as well
+ *
+ *  @function splitList
+ *  @param {(string|string[])} value - The value of a URL query param
+ *  @returns {string[]} The list of names in {@link value}
+ */
+
+const splitList = (value) => [].concat(value).join(',').split(',').map((name) => name.trim()).filter(Boolean);
+
+module.exports = {
+  /**
+   *  Parses and validates the 'sort' URL query param, a comma-separated list of field names, each optionally prefixed with '-' for descending order (e.g. 'year,-runningTime'), into the sort option of an Airtable API call
+   *
+   *  @method parseSort
+   *  @requires splitList
+   *  @param {(string|string[])} [value] - The value of the 'sort' URL query param
+   *  @param {('videos'|'submissions')} [kind='videos'] - The kind of records being sorted, which determines which fields are valid
+   *  @returns {?Object[]} A list of Airtable sort objects (i.e. [ { field: 'Airtable Field', direction: 'asc' }, ... ]), or null if {@link value} wasn't sent
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_SORT' if {@link value} is empty, has too many or repeated fields, or has fields that can't be sorted by
+   */
+
+  parseSort: (value, kind = 'videos') => {
+    if (typeof value === 'undefined') return null;
+    const fields = tableFields.get(kind);
+    const sortable = [ ...fields.keys() ].filter((name) => !listFields.includes(name));
+    const names = splitList(value);
+
+    if (names.length === 0) throw fieldError(`"sort" cannot be empty.`, 'INVALID_SORT');
+    if (names.length > maxSortFields) throw fieldError(`"sort" can have at most ${maxSortFields} fields.`, 'INVALID_SORT');
+
+    const sort = names.map((name) => {
+      const field = name.replace(/^[-+]/, '');
+      if (!sortable.includes(field)) throw fieldError(`Can't sort ${kind} by "${field}". Valid fields are: ${sortable.map((f) => `"${f}"`).join(', ')}.`, 'INVALID_SORT');
+      return { name: field, field: fields.get(field)[0], direction: name.startsWith('-') ? 'desc' : 'asc' };
+    });
+
+    if (new Set(sort.map(({ name }) => name)).size < sort.length) throw fieldError(`"sort" cannot have the same field more than once.`, 'INVALID_SORT');
+    return sort.map(({ field, direction }) => ({ field, direction }));
+  },
+
+  /**
+   *  Parses and validates the 'fields' URL query param, a comma-separated list of field names (e.g. 'title,url,topic'), into the fields to send in a response and the Airtable fields needed to build them
+   *
+   *  @method parseFields
+   *  @requires splitList
+   *  @param {(string|string[])} [value] - The value of the 'fields' URL query param
+   *  @param {('videos'|'submissions')} [kind='videos'] - The kind of records being selected, which determines which fields are valid
+   *  @returns {?Object} An object with the list of requested field names as 'names', and the list of Airtable fields to retrieve as 'airtableFields', or null if {@link value} wasn't sent
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_FIELDS' if {@link value} is empty or has unknown fields
+   */
+
+  parseFields: (value, kind = 'videos') => {
+    if (typeof value === 'undefined') return null;
+    const fields = tableFields.get(kind);
+    const names = [ ...new Set(splitList(value)) ];
+
+    if (names.length === 0) throw fieldError(`"fields" cannot be empty.`, 'INVALID_FIELDS');
+
+    const unknown = names.filter((name) => !fields.has(name));
+    if (unknown.length > 0) throw fieldError(`Unknown ${kind} field(s) ${unknown.map((f) => `"${f}"`).join(', ')}. Valid fields are: ${[ ...fields.keys() ].map((f) => `"${f}"`).join(', ')}.`, 'INVALID_FIELDS');
+
+    return { names, airtableFields: [ ...new Set(names.flatMap((name) => fields.get(name))) ] };
+  },
+
+  /**
+   *  Removes every member of a formatted record except the requested fields, in the order they were requested
+   *
+   *  @method projectFields
+   *  @param {Object} item - A formatted ESOVDB record (e.g. with videoFormat.toZoteroJSON)
+   *  @param {string[]} names - The names of the fields to keep, as parsed by {@link parseFields}
+   *  @returns {Object} A copy of {@link item} with only the fields in {@link names}
+   */
+
+  projectFields: (item, names) => Object.fromEntries(names.filter((name) => name in item).map((name) => [ name, item[name] ]))
+};
@@ -0,0 +1,265 @@
+/**
+ *  @file Parsing, validation, and application of URL query param filters for ESOVDB videos, either as Airtable formulas or against cached video data
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module filters
+ */
+
+const { escapeAirtableFormulaString, parseDuration } = require('./util');
+const { topics, formats, topicMetadata } = require('./mappings');
+
+/** @constant {number} maxFilterLength - The maximum length, in characters, of any single text filter value */
+const maxFilterLength = 200;
+
+/** @constant {string[]} tagModes - Valid values of the 'tagMode' URL query param, which determines whether videos must have any or all of the requested tags */
+const tagModes = [ 'any', 'all' ];
+
+/** @constant {RegExp} regexLanguage - Regular expression for validating an ISO 639 language code, with an optional region or script subtag (e.g. 'en' or 'pt-BR') */
+const regexLanguage = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+/**
+ *  Creates an error for an invalid filter value, which can be sent to the client with a 400 status
+ *
+ *  @function filterError
+ *  @param {string} message - A description of the invalid filter value and what would be valid instead
+ *  @returns {Error} An error with a 400 status and the code 'INVALID_VIDEO_FILTER'
+ */
+
+const filterError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_VIDEO_FILTER';
+  return err;
+};
+
+/**
+ *  Validates a single text filter value from the URL query params, rejecting repeated params, empty values, and overly long values
+ *
+ *  @function parseText
+ *  @param {*} value - The value of a URL query param
+ *  @param {string} name - The name of the URL query param, for error messages
+ *  @returns {?string} The trimmed value, or null if {@link value} wasn't sent
+ *  @throws Will throw a 400 error if {@link value} is repeated, empty, or longer than {@link maxFilterLength}
+ */
+
+const parseText = (value, name) => {
+  if (typeof value === 'undefined') return null;
+  if (typeof value !== 'string') throw filterError(`"${name}" can only be specified once.`);
+  if (!value.trim()) throw filterError(`"${name}" cannot be empty.`);
+  if (value.length > maxFilterLength) throw filterError(`"${name}" cannot be longer than ${maxFilterLength} characters.`);
+  return value.trim();
+};
+
+/**
+ *  Validates a value from the URL query params as one of a list of allowed values, case-insensitively, and returns its canonical form
+ *
+ *  @function parseOption
+ *  @requires parseText
+ *  @param {*} value - The value of a URL query param
+ *  @param {string} name - The name of the URL query param, for error messages
+ *  @param {string[]} options - The list of allowed values
+ *  @param {Map} [aliases=new Map()] - Maps alternate (lowercase) names for allowed values to the allowed values themselves
+ *  @returns {?string} The matching allowed value, or null if {@link value} wasn't sent
+ *  @throws Will throw a 400 error if {@link value} doesn't match one of {@link options} or {@link aliases}
+ */
+
+const parseOption = (value, name, options, aliases = new Map()) => {
+  const text = parseText(value, name);
+  if (text === null) return null;
+  const option = options.find((o) => o.toLowerCase() === text.toLowerCase()) || aliases.get(text.toLowerCase());
+  if (!option) throw filterError(`Unknown ${name} "${text}". Valid values are: ${options.map((o) => `"${o}"`).join(', ')}.`);
+  return option;
+};
+
+/**
+ *  Validates an integer value from the URL query params, within a given range
+ *
+ *  @function parseInteger
+ *  @requires parseText
+ *  @param {*} value - The value of a URL query param
+ *  @param {string} name - The name of the URL query param, for error messages
+ *  @param {number} min - The minimum allowed value
+ *  @param {number} max - The maximum allowed value
+ *  @returns {?number} The integer value, or null if {@link value} wasn't sent
+ *  @throws Will throw a 400 error if {@link value} isn't an integer between {@link min} and {@link max}
+ */
+
+const parseInteger = (value, name, min, max) => {
+  const text = parseText(value, name);
+  if (text === null) return null;
+  if (!/^\d+$/.test(text) || +text < min || +text > max) throw filterError(`"${name}" must be a whole number from ${min} to ${max}.`);
+  return +text;
+};
+
+/**
+ *  Validates a running time value from the URL query params, given either in seconds or as h:mm:ss or m:ss
+ *
+ *  @function parseRunningTime
+ *  @requires parseText
+ *  @requires util.parseDuration
+ *  @param {*} value - The value of a URL query param
+ *  @param {string} name - The name of the URL query param, for error messages
+ *  @returns {?number} The running time, in seconds, or null if {@link value} wasn't sent
+ *  @throws Will throw a 400 error if {@link value} isn't a valid running time
+ */
+
+const parseRunningTime = (value, name) => {
+  const text = parseText(value, name);
+  if (text === null) return null;
+  const seconds = parseDuration(text);
+  if (seconds === null) throw filterError(`"${name}" must be a number of seconds, or a duration formatted as h:mm:ss or m:ss.`);
+  return seconds;
+};
+
+/**
+ *  Builds a case-insensitive Airtable formula condition that tests whether a field's value is exactly equal to a string
+ *
+ *  @function formulaEquals
+ *  @requires util.escapeAirtableFormulaString
+ *  @param {string} field - The name of an Airtable field
+ *  @param {string} value - The string to compare the field's value to
+ *  @returns {string} An Airtable formula condition
+ */
+
+const formulaEquals = (field, value) => `LOWER({${field}}&'') = '${escapeAirtableFormulaString(value.toLowerCase())}'`;
+
+/**
+ *  Builds a case-insensitive Airtable formula condition that tests whether a list field (e.g. a lookup or linked record field) contains an item exactly equal to a string
+ *
+ *  @function formulaIncludes
+ *  @requires util.escapeAirtableFormulaString
+ *  @param {string} field - The name of an Airtable list field
+ *  @param {string} value - The string to look for in the field's list of values
+ *  @returns {string} An Airtable formula condition
+ */
+
+const formulaIncludes = (field, value) => `FIND(', ${escapeAirtableFormulaString(value.toLowerCase())}, ', ', ' & LOWER({${field}}&'') & ', ')`;
+
+module.exports = {
+  /**
+   *  Parses and validates all video filters sent as URL query params, normalizing topics and formats to their canonical names, and running times to seconds
+   *
+   *  @method parseVideoFilters
+   *  @param {Object} [query={}] - The URL query params of an [http request]{@link req}
+   *  @param {string} [query.topic] - An ESOVDB topic, by its full name or its Discord channel name (e.g. 'volcanism-and-petrology')
+   *  @param {string} [query.videoFormat] - An ESOVDB format (e.g. 'Lecture Recording')
+   *  @param {string} [query.format] - An ESOVDB format, used in place of {@link query.videoFormat} only if it matches an ESOVDB format's name, since the 'format' URL query param otherwise specifies the output format of a response (e.g. 'csv')
+   *  @param {(string|string[])} [query.tag] - One or more tags, sent by repeating the 'tag' URL query param
+   *  @param {('any'|'all')} [query.tagMode='any'] - Whether videos must have any or all of the tags in {@link query.tag}
+   *  @param {string} [query.series] - The full name of an ESOVDB series
+   *  @param {string} [query.presenter] - A presenter's full, first, or last name
+   *  @param {string} [query.publisher] - The full name of a publisher
+   *  @param {string} [query.language] - An ISO 639 language code (e.g. 'en')
+   *  @param {number} [query.yearFrom] - The earliest year a video can be from
+   *  @param {number} [query.yearTo] - The latest year a video can be from
+   *  @param {(number|string)} [query.minRunningTime] - The shortest running time a video can have, in seconds or as h:mm:ss or m:ss
+   *  @param {(number|string)} [query.maxRunningTime] - The longest running time a video can have, in seconds or as h:mm:ss or m:ss
+   *  @returns {Object} The parsed filters, with null for each filter that wasn't sent, an array of tags, and null as 'videoIds', which isn't a URL query param, but can be set to a list of Airtable record IDs, so that only those videos match (e.g. the videos linked to a person)
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_VIDEO_FILTER' if any filter value is invalid
+   */
+
+  parseVideoFilters: (query = {}) => {
+    const topicAliases = new Map([ ...topicMetadata.entries() ].map(([ name, { channel } ]) => [ channel, name ]));
+    const tags = [].concat(typeof query.tag === 'undefined' ? [] : query.tag);
+    const isVideoFormat = typeof query.format === 'string' && [ ...formats.keys() ].some((format) => format.toLowerCase() === query.format.trim().toLowerCase());
+
+    if (tags.some((tag) => typeof tag !== 'string' || !tag.trim() || tag.length > maxFilterLength))
+      throw filterError(`Each "tag" must be a non-empty string of up to ${maxFilterLength} characters.`);
+
+    const filters = {
+      topic: parseOption(query.topic, 'topic', [ ...topics.keys() ], topicAliases),
+      format: parseOption(typeof query.videoFormat !== 'undefined' || !isVideoFormat ? query.videoFormat : query.format, 'videoFormat', [ ...formats.keys() ]),
+      tags: tags.map((tag) => tag.trim()),
+      tagMode: parseOption(query.tagMode, 'tagMode', tagModes) || 'any',
+      series: parseText(query.series, 'series'),
+      presenter: parseText(query.presenter, 'presenter'),
+      publisher: parseText(query.publisher, 'publisher'),
+      language: parseText(query.language, 'language'),
+      yearFrom: parseInteger(query.yearFrom, 'yearFrom', 1000, new Date().getFullYear() + 1),
+      yearTo: parseInteger(query.yearTo, 'yearTo', 1000, new Date().getFullYear() + 1),
+      minRunningTime: parseRunningTime(query.minRunningTime, 'minRunningTime'),
+      maxRunningTime: parseRunningTime(query.maxRunningTime, 'maxRunningTime'),
+      videoIds: null
+    };
+
+    if (filters.language && !regexLanguage.test(filters.language))
+      throw filterError(`"language" must be an ISO 639 language code (e.g. "en").`);
+
+    if (filters.yearFrom !== null && filters.yearTo !== null && filters.yearFrom > filters.yearTo)
+      throw filterError(`"yearFrom" cannot be later than "yearTo".`);
+
+    if (filters.minRunningTime !== null && filters.maxRunningTime !== null && filters.minRunningTime > filters.maxRunningTime)
+      throw filterError(`"minRunningTime" cannot be longer than "maxRunningTime".`);
+
+    return filters;
+  },
+
+  /**
+   *  Converts parsed video filters into a list of Airtable formula conditions, for use in the filterByFormula option of an Airtable API call
+   *
+   *  @method videoFiltersToFormula
+   *  @requires formulaEquals
+   *  @requires formulaIncludes
+   *  @param {Object} filters - Video filters, as parsed by {@link parseVideoFilters}
+   *  @returns {string[]} A list of Airtable formula conditions, all of which must be true for a video to match {@link filters}
+   */
+
+  videoFiltersToFormula: (filters) => {
+    const conditions = [];
+
+    if (filters.topic) conditions.push(formulaEquals('Topic', filters.topic));
+    if (filters.format) conditions.push(formulaEquals('Format', filters.format));
+
+    if (filters.tags.length > 0) {
+      const tagConditions = filters.tags.map((tag) => formulaIncludes('Tags', tag));
+      conditions.push(tagConditions.length === 1 ? tagConditions[0] : `${filters.tagMode === 'all' ? 'AND' : 'OR'}(${tagConditions.join(',')})`);
+    }
+
+    if (filters.series) conditions.push(formulaEquals('Series Text', filters.series));
+    if (filters.publisher) conditions.push(formulaEquals('Publisher Text', filters.publisher));
+    if (filters.language) conditions.push(formulaEquals('Language Code', filters.language));
+
+    if (filters.presenter) {
+      const names = filters.presenter.toLowerCase().split(/\s+/).map((name) => escapeAirtableFormulaString(name));
+      conditions.push(...names.map((name) => `OR(FIND('${name}', LOWER({Presenter First Name}&'')), FIND('${name}', LOWER({Presenter Last Name}&'')))`));
+    }
+
+    if (filters.videoIds) conditions.push(filters.videoIds.length > 0 ? `OR(${filters.videoIds.map((id) => `RECORD_ID()='${escapeAirtableFormulaString(id)}'`).join(',')})` : 'FALSE()');
+    if (filters.yearFrom !== null) conditions.push(`{Year} >= ${filters.yearFrom}`);
+    if (filters.yearTo !== null) conditions.push(`{Year} <= ${filters.yearTo}`);
+    if (filters.minRunningTime !== null) conditions.push(`{Running Time} >= ${filters.minRunningTime}`);
+    if (filters.maxRunningTime !== null) conditions.push(`{Running Time} <= ${filters.maxRunningTime}`);
+
+    return conditions;
+  },
+
+  /**
+   *  Tests whether a single formatted ESOVDB video matches parsed video filters, with the same semantics as {@link videoFiltersToFormula}, for filtering cached video data without an Airtable API call
+   *
+   *  @method matchesVideoFilters
+   *  @requires util.parseDuration
+   *  @param {Object} video - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+   *  @param {Object} filters - Video filters, as parsed by {@link parseVideoFilters}
+   *  @returns {boolean} Whether or not {@link video} matches all of {@link filters}
+   */
+
+  matchesVideoFilters: (video, filters) => {
+    const equals = (value, filter) => String(value || '').toLowerCase() === filter.toLowerCase();
+    const tags = (video.tags || []).map((tag) => String(tag).toLowerCase());
+    const runningTime = parseDuration(video.runningTime);
+    const presenters = (video.presenters || []).map((presenter) => `${presenter.firstName || ''} ${presenter.lastName || ''}`.toLowerCase()).join(' ');
+
+    if (filters.topic && video.topic !== filters.topic) return false;
+    if (filters.format && video.format !== filters.format) return false;
+    if (filters.tags.length > 0 && !filters.tags[filters.tagMode === 'all' ? 'every' : 'some']((tag) => tags.includes(tag.toLowerCase()))) return false;
+    if (filters.series && !equals(video.series, filters.series)) return false;
+    if (filters.publisher && !equals(video.publisher, filters.publisher)) return false;
+    if (filters.language && !equals(video.language, filters.language)) return false;
+    if (filters.presenter && !filters.presenter.toLowerCase().split(/\s+/).every((name) => presenters.includes(name))) return false;
+    if (filters.videoIds && !filters.videoIds.includes(video.recordId || video.id)) return false;
+    if (filters.yearFrom !== null && !(+video.year >= filters.yearFrom)) return false;
+    if (filters.yearTo !== null && !(+video.year <= filters.yearTo)) return false;
+    if (filters.minRunningTime !== null && !(runningTime >= filters.minRunningTime)) return false;
+    if (filters.maxRunningTime !== null && !(runningTime !== null && runningTime <= filters.maxRunningTime)) return false;
+    return true;
+  }
+};
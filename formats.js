@@ -0,0 +1,821 @@
+/**
+ *  @file Response serializers for alternate ESOVDB API output formats
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module formats
+ */
+
+const { regexYT } = require('./util');
+
+/**
+ *  Flattens any single field value from an ESOVDB record into a plain string, suitable for a single CSV cell
+ *
+ *  @function flattenValue
+ *  @param {*} value - Any field value from an ESOVDB record (e.g. a string, number, array of tags, or array of presenter objects)
+ *  @returns {string} A plain string representation of {@link value}, with arrays joined by semicolons, presenters as full names, and empty values as empty strings
+ *
+ *  @example <caption>Array of presenters</caption>
+ *  // returns 'John C. Smith; Marjorie García-Gamboa'
+ *  flattenValue([{ firstName: 'John C.', lastName: 'Smith' }, { firstName: 'Marjorie', lastName: 'García-Gamboa' }]);
+ */
+
+const flattenValue = (value) => {
+  if (value === null || typeof value === 'undefined') return '';
+  if (Array.isArray(value)) return value.map(flattenValue).filter((v) => v !== '').join('; ');
+
+  if (typeof value === 'object') {
+    if ('firstName' in value || 'lastName' in value) return [ value.firstName, value.lastName ].filter(Boolean).join(' ');
+    if ('name' in value) return flattenValue(value.name);
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+};
+
+/**
+ *  Escapes a single CSV cell according to RFC 4180, surrounding it with double quotes (and doubling any inner double quotes) if it contains a comma, double quote, or line break
+ *
+ *  @function escapeCSV
+ *  @param {*} value - Any field value from an ESOVDB record
+ *  @returns {string} A valid RFC 4180 CSV field
+ *
+ *  @example
+ *  // returns '"Line 1\nLine 2, with a ""quote"""'
+ *  escapeCSV('Line 1\nLine 2, with a "quote"');
+ */
+
+const escapeCSV = (value) => {
+  const cell = flattenValue(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/** @constant {string} plusCodeAlphabet - The 20-character base used by Open Location Codes (Plus Codes), in order of digit value */
+const plusCodeAlphabet = '23456789CFGHJMPQRVWX';
+
+/** @constant {RegExp} regexPlusCode - Regular expression for matching a full (not shortened) Plus Code, with optional zero-padding, and extracting its significant digits before and after the separator */
+const regexPlusCode = /^([23456789CFGHJMPQRVWX]{2}(?:[23456789CFGHJMPQRVWX]{2}){0,3})0*\+([23456789CFGHJMPQRVWX]{2,})?$/;
+
+/**
+ *  Decodes a full Plus Code (Open Location Code) into the latitude and longitude at the center of its area, without any external geocoding service. Any trailing locality text (e.g. '849VCWC8+R9 Mountain View') is ignored, and shortened codes, which require a reference location to recover, are not decoded.
+ *
+ *  @function decodePlusCode
+ *  @param {string} code - A full Plus Code, such as the value of an ESOVDB video's 'Plus Code' field
+ *  @returns {?{ lat: number, lng: number }} The latitude and longitude at the center of the Plus Code's area, or null if {@link code} is missing, shortened, or invalid
+ *  @see {@link https://github.com/google/open-location-code/blob/main/docs/specification.md|Open Location Code Specification}
+ *
+ *  @example
+ *  // returns { lat: 37.4220625, lng: -122.0840625 }
+ *  decodePlusCode('849VCWC8+R9');
+ */
+
+const decodePlusCode = (code) => {
+  const value = String(code || '').trim().split(/\s+/)[0].toUpperCase();
+  const match = regexPlusCode.exec(value);
+  if (!match || value.indexOf('+') !== 8) return null;
+
+  const digits = (match[1].length < 8 ? match[1] : match[1] + (match[2] || '')).split('').map((d) => plusCodeAlphabet.indexOf(d));
+  if (digits[0] > 8 || digits[1] > 17) return null;
+
+  let lat = -90, lng = -180, latSize = 400, lngSize = 400;
+
+  digits.forEach((d, i) => {
+    if (i < 10) {
+      if (i % 2 === 0) latSize /= 20, lat += d * latSize;
+      else lngSize /= 20, lng += d * lngSize;
+    } else {
+      latSize /= 5, lngSize /= 4;
+      lat += Math.floor(d / 4) * latSize;
+      lng += (d % 4) * lngSize;
+    }
+  });
+
+  return {
+    lat: +Math.min(lat + latSize / 2, 90).toFixed(7),
+    lng: +(lng + lngSize / 2).toFixed(7)
+  };
+};
+
+/**
+ *  Escapes a string for safe inclusion as XML text content or attribute values
+ *
+ *  @function escapeXML
+ *  @param {*} value - Any value to be included in an XML document
+ *  @returns {string} The escaped string representation of {@link value}
+ *
+ *  @example
+ *  // returns 'Rocks &amp; &quot;Minerals&quot;'
+ *  escapeXML('Rocks & "Minerals"');
+ */
+
+const escapeXML = (value) => String(value === null || typeof value === 'undefined' ? '' : value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ *  Pairs each formatted ESOVDB video with the coordinates decoded from its Plus Code, separating out any videos without usable location data
+ *
+ *  @function locateItems
+ *  @requires decodePlusCode
+ *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+ *  @returns {{ located: { item: Object, coordinates: { lat: number, lng: number } }[], skipped: number }} Videos with their coordinates, and the number of videos skipped for lack of coordinates
+ */
+
+const locateItems = (items) => {
+  const located = items
+    .map((item) => ({ item, coordinates: decodePlusCode(item.plusCode) }))
+    .filter(({ coordinates }) => coordinates);
+
+  if (items.length > located.length) console.log(`› Skipped ${items.length - located.length} video${items.length - located.length === 1 ? '' : 's'} without coordinates.`);
+  return { located, skipped: items.length - located.length };
+};
+
+/**
+ *  Selects and flattens the fields of a formatted ESOVDB video that are useful as attributes of a map feature
+ *
+ *  @function featureProperties
+ *  @requires flattenValue
+ *  @param {Object} item - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {Object} Flat map feature attributes, with array fields like tags and presenters joined into strings
+ */
+
+const featureProperties = (item) => ({
+  recordId: item.recordId || '',
+  esovdbId: item.esovdbId || '',
+  title: item.title || '',
+  url: item.url || '',
+  year: item.year || null,
+  runningTime: item.runningTime || '',
+  format: item.format || '',
+  topic: item.topic || '',
+  series: item.series || '',
+  publisher: item.publisher || '',
+  presenters: flattenValue(item.presenters),
+  tags: flattenValue(item.tags),
+  location: item.location || '',
+  plusCode: item.plusCode || ''
+});
+
+/**
+ *  Splits a date string from an ESOVDB record (e.g. '2020-12-07 16:55:43', as formatted by util.formatDate) into its year, month, and day
+ *
+ *  @function dateParts
+ *  @param {string} date - A date string, beginning with the date in YYYY-MM-DD format
+ *  @returns {?number[]} An array of the year, month, and day of {@link date}, or null if {@link date} isn't a valid date string
+ *
+ *  @example
+ *  // returns [ 2020, 12, 7 ]
+ *  dateParts('2020-12-07 16:55:43');
+ */
+
+const dateParts = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date || '');
+  return match ? match.slice(1).map(Number) : null;
+};
+
+/**
+ *  Escapes a string for use as a BibTeX field value, so that LaTeX special characters are printed literally
+ *
+ *  @function escapeBibTeX
+ *  @param {*} value - Any field value from an ESOVDB record
+ *  @returns {string} The escaped string representation of {@link value}
+ *
+ *  @example
+ *  // returns 'Rocks \\& Minerals: 100\\% Fun'
+ *  escapeBibTeX('Rocks & Minerals: 100% Fun');
+ */
+
+const escapeBibTeX = (value) => String(value === null || typeof value === 'undefined' ? '' : value)
+  .replace(/[\\{}]/g, (c) => c === '\\' ? '\\textbackslash{}' : `\\${c}`)
+  .replace(/[&%$#_]/g, (c) => `\\${c}`)
+  .replace(/~/g, '\\textasciitilde{}')
+  .replace(/\^/g, '\\textasciicircum{}')
+  .replace(/\s*\r?\n\s*/g, ' ');
+
+/**
+ *  Converts a formatted ESOVDB video into the bibliographic fields of a Zotero 'videoRecording' item, the single mapping shared by Zotero sync and the API's citation formats
+ *
+ *  @function toZoteroItem
+ *  @param {Object} video - An ESOVDB video, formatted with videoFormat.toZoteroJSON, or with its presenters already packaged with util.packageAuthors
+ *  @returns {Object} The bibliographic fields of a Zotero 'videoRecording' item, without any Zotero key, version, or collections
+ *  @see [Zotero Web API 3.0 › Write Requests › Item Requests]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#item_requests}
+ */
+
+const toZoteroItem = (video) => {
+  const extras = [
+    [ 'Topic', video.topic ],
+    [ 'Location', video.location ],
+    [ 'Plus Code', video.plusCode ],
+    [ 'Learn More', video.learnMore ]
+  ].filter(([ , value ]) => value);
+
+  const creators = video.presenters && video.presenters.length > 0
+    ? video.presenters.map((presenter) => !presenter.firstName || !presenter.lastName
+      ? { creatorType: 'contributor', name: presenter.firstName || presenter.lastName || '' }
+      : { creatorType: 'contributor', firstName: presenter.firstName, lastName: presenter.lastName })
+    : [ { creatorType: 'contributor', name: 'Unknown' } ];
+
+  return {
+    itemType: 'videoRecording',
+    title: video.title || '',
+    creators,
+    abstractNote: video.desc || '',
+    videoRecordingFormat: video.format || '',
+    seriesTitle: video.series || '',
+    volume: video.vol ? `${video.vol || ''}:${video.no || ''}` : video.no || '',
+    numberOfVolumes: +video.seriesCount > 1 ? video.seriesCount : '',
+    place: video.provider || '',
+    studio: video.publisher || '',
+    date: video.year || '',
+    runningTime: video.runningTime || '',
+    language: video.language || '',
+    ISBN: '',
+    shortTitle: '',
+    url: video.url || '',
+    accessDate: video.accessDate || '',
+    archive: 'Earth Science Online Video Database',
+    archiveLocation: `https://airtable.com/appAqhfquNFMRAGhQ/tbl3WP689vHdmg7P2/viwD9Tpr6JAAr97CW/${video.recordId}?blocks=bipKEx011McOmAZW2`,
+    libraryCatalog: '',
+    callNumber: video.esovdbId || '',
+    rights: '',
+    extra: extras.map(([ title, value ]) => `${title}: ${value}`).join('\n'),
+    tags: video.tags ? video.tags.map((tag) => ({ tag })) : []
+  };
+};
+
+/**
+ *  Generates a BibTeX citation key for a formatted ESOVDB video, from its ESOVDB ID, or its Airtable record ID if it has none
+ *
+ *  @function citationKey
+ *  @param {Object} item - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {string} A citation key containing only characters that are safe in BibTeX keys
+ */
+
+const citationKey = (item) => `esovdb-${String(item.esovdbId || item.recordId || 'video').replace(/[^\w\-:.]/g, '')}`;
+
+/** @constant {string} xmlNamespace - The target namespace of the ESOVDB XML schema (esovdb.xsd), which is published at the location in {@link xmlSchemaLocation} */
+const xmlNamespace = 'https://api.esovdb.org/v1/schema';
+
+/** @constant {string} xmlSchemaLocation - The public URL of the ESOVDB XML schema (esovdb.xsd), served by this API */
+const xmlSchemaLocation = 'https://api.esovdb.org/v1/schema/esovdb.xsd';
+
+/**
+ *  Generates a single XML element with escaped text content and attributes, omitting any attributes without a value
+ *
+ *  @function xmlElement
+ *  @requires escapeXML
+ *  @param {string} name - The name of the XML element
+ *  @param {*} [value=''] - The text content of the XML element
+ *  @param {Object} [attributes={}] - A map of attribute names to their values
+ *  @returns {string} A single-line XML element
+ *
+ *  @example
+ *  // returns '<zotero key="ABCD2345" version="12"></zotero>'
+ *  xmlElement('zotero', '', { key: 'ABCD2345', version: 12, extra: null });
+ */
+
+const xmlElement = (name, value = '', attributes = {}) => {
+  const attrs = Object.entries(attributes)
+    .filter(([ , v ]) => v !== '' && v !== null && typeof v !== 'undefined')
+    .map(([ k, v ]) => ` ${k}="${escapeXML(v)}"`)
+    .join('');
+
+  return `<${name}${attrs}>${escapeXML(value)}</${name}>`;
+};
+
+/**
+ *  Serializes a single formatted ESOVDB video as a 'video' element of the ESOVDB XML schema, omitting any optional elements without a value, in the order required by the schema
+ *
+ *  @function videoToXML
+ *  @requires xmlElement
+ *  @param {Object} item - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {string[]} The lines of the 'video' element, indented for inclusion in a 'videos' element
+ */
+
+const videoToXML = (item) => {
+  const optional = (name, value) => value !== '' && value !== null && typeof value !== 'undefined' ? [ `      ${xmlElement(name, value)}` ] : [];
+
+  return [
+    `    <video${item.recordId ? ` id="${escapeXML(item.recordId)}"` : ''}${item.esovdbId ? ` esovdbId="${escapeXML(item.esovdbId)}"` : ''}>`,
+    `      ${xmlElement('title', item.title || '')}`,
+    ...optional('url', item.url),
+    ...optional('year', item.year),
+    ...optional('description', item.desc),
+    ...optional('runningTime', item.runningTime),
+    ...optional('format', item.format),
+    ...optional('topic', item.topic),
+    ...optional('language', item.language),
+    ...optional('location', item.location),
+    ...optional('plusCode', item.plusCode),
+    ...optional('provider', item.provider),
+    ...optional('publisher', item.publisher),
+    ...optional('learnMore', item.learnMore),
+    '      <presenters>',
+    ...(item.presenters || []).map((presenter) => `        <presenter>${presenter.firstName ? xmlElement('firstName', presenter.firstName) : ''}${presenter.lastName ? xmlElement('lastName', presenter.lastName) : ''}</presenter>`),
+    '      </presenters>',
+    '      <tags>',
+    ...(item.tags || []).map((tag) => `        ${xmlElement('tag', tag)}`),
+    '      </tags>',
+    ...(item.series ? [
+      `      <series${item.zoteroSeries ? ` zoteroKey="${escapeXML(item.zoteroSeries)}"` : ''}${item.seriesCount ? ` count="${escapeXML(item.seriesCount)}"` : ''}>`,
+      `        ${xmlElement('title', item.series)}`,
+      ...(item.vol ? [ `        ${xmlElement('volume', item.vol)}` ] : []),
+      ...(item.no ? [ `        ${xmlElement('number', item.no)}` ] : []),
+      '      </series>'
+    ] : []),
+    ...(item.zoteroKey ? [ `      ${xmlElement('zotero', '', { key: item.zoteroKey, version: item.zoteroVersion })}` ] : []),
+    ...optional('accessDate', item.accessDate),
+    ...optional('created', item.created),
+    ...optional('modified', item.modified),
+    '    </video>'
+  ];
+};
+
+/**
+ *  Serializes a single ESOVDB submission, as raw Airtable fields, as a 'submission' element of the ESOVDB XML schema, with one 'field' element per Airtable field, and one 'value' element per value of that field
+ *
+ *  @function submissionToXML
+ *  @requires xmlElement
+ *  @param {Object} item - An ESOVDB submission, as returned by esovdb.querySubmissions (i.e. its Airtable record ID and raw Airtable fields)
+ *  @returns {string[]} The lines of the 'submission' element, indented for inclusion in a 'submissions' element
+ */
+
+const submissionToXML = (item) => [
+  `    <submission${item.id ? ` id="${escapeXML(item.id)}"` : ''}>`,
+  ...Object.entries(item)
+    .filter(([ name ]) => name !== 'id')
+    .map(([ name, value ]) => `      <field name="${escapeXML(name)}">${(Array.isArray(value) ? value : [ value ])
+      .map((v) => xmlElement('value', v !== null && typeof v === 'object' ? JSON.stringify(v) : v))
+      .join('')}</field>`),
+  '    </submission>'
+];
+
+/**
+ *  Extracts a YouTube video ID from a video's URL, if it is a YouTube URL
+ *
+ *  @function getYouTubeId
+ *  @requires regexYT
+ *  @param {string} url - A video's URL
+ *  @returns {?string} The YouTube video ID in {@link url}, or null if {@link url} isn't a YouTube URL
+ */
+
+const getYouTubeId = (url) => url && /youtu\.?be/.test(url) && regexYT.test(url) ? regexYT.exec(url)[1] : null;
+
+/**
+ *  Parses the date a formatted ESOVDB video was added to the ESOVDB (i.e. its 'accessDate', as formatted by util.formatDate in the server's local time) into a Date object
+ *
+ *  @function parseAccessDate
+ *  @param {string} accessDate - A date string in 'YYYY-MM-DD hh:mm:ss' format, in the server's local time
+ *  @returns {?Date} The date the video was added to the ESOVDB, or null if {@link accessDate} isn't a valid date string
+ */
+
+const parseAccessDate = (accessDate) => {
+  const d = new Date(String(accessDate || '').replace(' ', 'T'));
+  return isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ *  Collects the metadata of a formatted ESOVDB video used by every kind of syndication feed entry, including its thumbnail, from its YouTube video ID, if it has one
+ *
+ *  @function feedEntry
+ *  @requires parseAccessDate
+ *  @requires flattenValue
+ *  @param {Object} item - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {Object} The video's title, link, ID, dates added and modified, presenters, categories, summary, and thumbnail URL
+ */
+
+const feedEntry = (item) => {
+  const videoId = getYouTubeId(item.url);
+  const added = parseAccessDate(item.accessDate) || new Date(0);
+  const modified = item.modified && !isNaN(Date.parse(item.modified)) ? new Date(item.modified) : added;
+
+  return {
+    title: `${item.title || 'Untitled'}${item.year ? ` (${item.year})` : ''}`,
+    link: item.url || '',
+    id: item.recordId || item.esovdbId || item.url || '',
+    added,
+    modified: modified > added ? modified : added,
+    presenters: (item.presenters || []).map(flattenValue).filter(Boolean),
+    categories: [ item.topic, item.format, ...(item.tags || []) ].filter(Boolean),
+    summary: [ item.series ? `Series: ${item.series}` : '', item.runningTime ? `Running time: ${item.runningTime}` : '', item.desc || '' ].filter(Boolean).join('\n\n'),
+    thumbnail: videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : null
+  };
+};
+
+/**
+ *  Converts a running time formatted as h:mm:ss, m:ss, or 0:ss (e.g. by util.formatDuration) to an ISO 8601 duration
+ *
+ *  @function toISODuration
+ *  @param {string} runningTime - A running time formatted as h:mm:ss, m:ss, or 0:ss
+ *  @returns {?string} An ISO 8601 duration, or null if {@link runningTime} is missing, zero, or invalid
+ *
+ *  @example
+ *  // returns 'PT2H34M4S'
+ *  toISODuration('2:34:04');
+ */
+
+const toISODuration = (runningTime) => {
+  if (!/^(\d+:)?\d{1,2}:\d{2}$/.test(runningTime || '')) return null;
+  const [ s = 0, m = 0, h = 0 ] = runningTime.split(':').reverse().map(Number);
+  if (!h && !m && !s) return null;
+  return `PT${h ? `${h}H` : ''}${m ? `${m}M` : ''}${s ? `${s}S` : ''}`;
+};
+
+/**
+ *  Converts a formatted ESOVDB video to a schema.org VideoObject, omitting any properties without a value
+ *
+ *  @function toVideoObject
+ *  @requires toISODuration
+ *  @requires decodePlusCode
+ *  @requires getYouTubeId
+ *  @param {Object} item - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {Object} A schema.org VideoObject, without its own '@context'
+ *  @see {@link https://schema.org/VideoObject|schema.org VideoObject}
+ */
+
+const toVideoObject = (item) => {
+  const videoId = getYouTubeId(item.url);
+  const coordinates = decodePlusCode(item.plusCode);
+
+  const videoObject = {
+    '@type': 'VideoObject',
+    identifier: item.esovdbId || item.recordId,
+    name: item.title,
+    description: item.desc,
+    url: item.url,
+    embedUrl: videoId ? `https://www.youtube.com/embed/${videoId}` : '',
+    thumbnailUrl: videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : '',
+    uploadDate: item.year ? String(item.year) : '',
+    duration: toISODuration(item.runningTime),
+    inLanguage: item.language,
+    genre: item.format,
+    keywords: (item.tags || []).join(', '),
+    creator: (item.presenters || []).map((presenter) => presenter.firstName && presenter.lastName
+      ? { '@type': 'Person', givenName: presenter.firstName, familyName: presenter.lastName, name: `${presenter.firstName} ${presenter.lastName}` }
+      : { '@type': 'Organization', name: presenter.firstName || presenter.lastName }),
+    publisher: item.publisher ? { '@type': 'Organization', name: item.publisher } : '',
+    isPartOf: item.series ? { '@type': 'CreativeWorkSeries', name: item.series } : '',
+    about: [ item.topic, ...(item.tags || []) ].filter(Boolean).map((name) => ({ '@type': 'Thing', name })),
+    contentLocation: item.location || coordinates ? Object.fromEntries(Object.entries({
+      '@type': 'Place',
+      name: item.location,
+      geo: coordinates ? { '@type': 'GeoCoordinates', latitude: coordinates.lat, longitude: coordinates.lng } : '',
+      additionalProperty: item.plusCode ? { '@type': 'PropertyValue', name: 'Plus Code', value: item.plusCode } : ''
+    }).filter(([ , value ]) => value)) : ''
+  };
+
+  return Object.fromEntries(Object.entries(videoObject).filter(([ , value ]) => value && (!Array.isArray(value) || value.length)));
+};
+
+module.exports = {
+  decodePlusCode,
+  escapeXML,
+  toZoteroItem,
+
+  /**
+   *  Serializes an array of formatted ESOVDB records as an RFC 4180 CSV document, with a header row made up of every field found in {@link items}, in order of first appearance
+   *
+   *  @method toCSV
+   *  @param {Object[]} items - An array of ESOVDB records, already formatted as JavaScript objects (e.g. with videoFormat.toZoteroJSON)
+   *  @returns {string} A CSV document with a header row and one CRLF-terminated row per item
+   *  @see {@link https://datatracker.ietf.org/doc/html/rfc4180|RFC 4180}
+   */
+
+  toCSV: (items) => {
+    const columns = [ ...new Set(items.flatMap((item) => Object.keys(item))) ];
+
+    return [ columns, ...items.map((item) => columns.map((column) => item[column])) ]
+      .map((row) => row.map(escapeCSV).join(','))
+      .join('\r\n') + '\r\n';
+  },
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as a GeoJSON FeatureCollection of points, one for each video with a decodable Plus Code, for use with GIS software (e.g. QGIS)
+   *
+   *  @method toGeoJSON
+   *  @requires locateItems
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} A GeoJSON FeatureCollection, with the number of videos skipped for lack of coordinates reported in its 'skipped' member
+   *  @see {@link https://datatracker.ietf.org/doc/html/rfc7946|RFC 7946}
+   */
+
+  toGeoJSON: (items) => {
+    const { located, skipped } = locateItems(items);
+
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      skipped,
+      features: located.map(({ item, coordinates }) => ({
+        type: 'Feature',
+        id: item.recordId || undefined,
+        geometry: { type: 'Point', coordinates: [ coordinates.lng, coordinates.lat ] },
+        properties: featureProperties(item)
+      }))
+    });
+  },
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as a Google Earth KML document, with one placemark for each video with a decodable Plus Code
+   *
+   *  @method toKML
+   *  @requires locateItems
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} A KML document, with the number of videos skipped for lack of coordinates reported in the document's extended data
+   *  @see {@link https://developers.google.com/kml/documentation/kmlreference|KML Reference}
+   */
+
+  toKML: (items) => {
+    const { located, skipped } = locateItems(items);
+
+    const placemarks = located.map(({ item, coordinates }) => {
+      const properties = featureProperties(item);
+      const description = [
+        properties.url ? `<a href="${escapeXML(properties.url)}">${escapeXML(properties.url)}</a>` : '',
+        properties.presenters ? `Presenter(s): ${escapeXML(properties.presenters)}` : '',
+        properties.topic ? `Topic: ${escapeXML(properties.topic)}` : '',
+        properties.location ? `Location: ${escapeXML(properties.location)}` : ''
+      ].filter(Boolean).join('<br/>');
+
+      return [
+        `    <Placemark${properties.recordId ? ` id="${escapeXML(properties.recordId)}"` : ''}>`,
+        `      <name>${escapeXML(properties.title)}${properties.year ? ` (${escapeXML(properties.year)})` : ''}</name>`,
+        `      <description>${escapeXML(description)}</description>`,
+        `      <ExtendedData>`,
+        ...Object.entries(properties).map(([ name, value ]) => `        <Data name="${name}"><value>${escapeXML(value)}</value></Data>`),
+        `      </ExtendedData>`,
+        `      <Point><coordinates>${coordinates.lng},${coordinates.lat},0</coordinates></Point>`,
+        `    </Placemark>`
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      '    <name>Earth Science Online Video Database</name>',
+      `    <ExtendedData><Data name="skipped"><value>${skipped}</value></Data></ExtendedData>`,
+      ...placemarks,
+      '  </Document>',
+      '</kml>',
+      ''
+    ].join('\n');
+  },
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as a BibTeX bibliography, with one @misc entry per video, derived from the same mapping used for Zotero items
+   *
+   *  @method toBibTeX
+   *  @requires toZoteroItem
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} A BibTeX bibliography, with entries keyed by each video's ESOVDB ID
+   *  @see {@link https://www.bibtex.com/format/|BibTeX Format}
+   */
+
+  toBibTeX: (items) => items.map((item) => {
+    const zoteroItem = toZoteroItem(item);
+    const accessed = dateParts(zoteroItem.accessDate);
+
+    const fields = [
+      [ 'title', escapeBibTeX(zoteroItem.title) ],
+      [ 'author', zoteroItem.creators.map((creator) => creator.name ? `{${escapeBibTeX(creator.name)}}` : `${escapeBibTeX(creator.lastName)}, ${escapeBibTeX(creator.firstName)}`).join(' and ') ],
+      [ 'year', escapeBibTeX(zoteroItem.date) ],
+      [ 'series', escapeBibTeX(zoteroItem.seriesTitle) ],
+      [ 'volume', escapeBibTeX(zoteroItem.volume) ],
+      [ 'publisher', escapeBibTeX(zoteroItem.studio) ],
+      [ 'howpublished', escapeBibTeX([ zoteroItem.videoRecordingFormat, zoteroItem.place ].filter(Boolean).join(', ')) ],
+      [ 'url', zoteroItem.url.replace(/[{}]/g, (c) => encodeURIComponent(c)) ],
+      [ 'urldate', accessed ? accessed.map((part) => String(part).padStart(2, '0')).join('-') : '' ],
+      [ 'language', escapeBibTeX(zoteroItem.language) ],
+      [ 'abstract', escapeBibTeX(zoteroItem.abstractNote) ],
+      [ 'keywords', escapeBibTeX(zoteroItem.tags.map(({ tag }) => tag).join(', ')) ],
+      [ 'note', escapeBibTeX([ zoteroItem.runningTime ? `Running time: ${zoteroItem.runningTime}` : '', ...zoteroItem.extra.split('\n') ].filter(Boolean).join('. ')) ],
+      [ 'archive', escapeBibTeX(zoteroItem.archive) ],
+      [ 'callnumber', escapeBibTeX(zoteroItem.callNumber) ]
+    ].filter(([ , value ]) => value !== '');
+
+    return `@misc{${citationKey(item)},\n${fields.map(([ name, value ]) => `  ${name} = {${value}}`).join(',\n')}\n}\n`;
+  }).join('\n'),
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as an RIS file, with one VIDEO record per video, derived from the same mapping used for Zotero items
+   *
+   *  @method toRIS
+   *  @requires toZoteroItem
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} An RIS file, with CRLF-terminated lines
+   *  @see {@link https://en.wikipedia.org/wiki/RIS_(file_format)|RIS (file format)}
+   */
+
+  toRIS: (items) => items.map((item) => {
+    const zoteroItem = toZoteroItem(item);
+    const accessed = dateParts(zoteroItem.accessDate);
+
+    const lines = [
+      [ 'TY', 'VIDEO' ],
+      [ 'TI', zoteroItem.title ],
+      ...zoteroItem.creators.map((creator) => [ 'AU', creator.name || `${creator.lastName}, ${creator.firstName}` ]),
+      [ 'PY', zoteroItem.date ],
+      [ 'AB', zoteroItem.abstractNote ],
+      [ 'T3', zoteroItem.seriesTitle ],
+      [ 'VL', zoteroItem.volume ],
+      [ 'NV', zoteroItem.numberOfVolumes ],
+      [ 'PB', zoteroItem.studio ],
+      [ 'CY', zoteroItem.place ],
+      [ 'M3', zoteroItem.videoRecordingFormat ],
+      [ 'LA', zoteroItem.language ],
+      [ 'UR', zoteroItem.url ],
+      [ 'Y2', accessed ? accessed.map((part) => String(part).padStart(2, '0')).join('/') : '' ],
+      [ 'DB', zoteroItem.archive ],
+      [ 'AN', zoteroItem.archiveLocation ],
+      [ 'CN', zoteroItem.callNumber ],
+      ...zoteroItem.tags.map(({ tag }) => [ 'KW', tag ]),
+      [ 'N1', [ zoteroItem.runningTime ? `Running time: ${zoteroItem.runningTime}` : '', ...zoteroItem.extra.split('\n') ].filter(Boolean).join('; ') ]
+    ].filter(([ , value ]) => value !== '' && value !== null && typeof value !== 'undefined');
+
+    return [ ...lines.map(([ tag, value ]) => `${tag}  - ${String(value).replace(/\s*\r?\n\s*/g, ' ')}`), 'ER  - ', '' ].join('\r\n');
+  }).join('\r\n'),
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as CSL-JSON, for use with citation processors (e.g. citeproc, Pandoc) and reference managers other than Zotero, derived from the same mapping used for Zotero items
+   *
+   *  @method toCSLJSON
+   *  @requires toZoteroItem
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} A CSL-JSON array of 'motion_picture' items
+   *  @see {@link https://citeproc-js.readthedocs.io/en/latest/csl-json/markup.html|CSL-JSON}
+   */
+
+  toCSLJSON: (items) => JSON.stringify(items.map((item) => {
+    const zoteroItem = toZoteroItem(item);
+    const accessed = dateParts(zoteroItem.accessDate);
+
+    return Object.fromEntries(Object.entries({
+      id: citationKey(item),
+      type: 'motion_picture',
+      title: zoteroItem.title,
+      author: zoteroItem.creators.map((creator) => creator.name ? { literal: creator.name } : { family: creator.lastName, given: creator.firstName }),
+      issued: zoteroItem.date ? { 'date-parts': [ [ +zoteroItem.date ] ] } : '',
+      accessed: accessed ? { 'date-parts': [ accessed ] } : '',
+      abstract: zoteroItem.abstractNote,
+      'collection-title': zoteroItem.seriesTitle,
+      volume: zoteroItem.volume,
+      'number-of-volumes': zoteroItem.numberOfVolumes,
+      publisher: zoteroItem.studio,
+      'publisher-place': zoteroItem.place,
+      medium: zoteroItem.videoRecordingFormat,
+      dimensions: zoteroItem.runningTime,
+      language: zoteroItem.language,
+      URL: zoteroItem.url,
+      archive: zoteroItem.archive,
+      archive_location: zoteroItem.archiveLocation,
+      'call-number': zoteroItem.callNumber,
+      keyword: zoteroItem.tags.map(({ tag }) => tag).join(', '),
+      note: zoteroItem.extra
+    }).filter(([ , value ]) => value !== ''));
+  })),
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos or submissions as an XML document, valid according to the ESOVDB XML schema (esovdb.xsd), with videos' presenters, tags, and series as nested elements
+   *
+   *  @method toXML
+   *  @requires videoToXML
+   *  @requires submissionToXML
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON, or of ESOVDB submissions
+   *  @param {('videos'|'submissions')} [kind='videos'] - The kind of ESOVDB records in {@link items}
+   *  @returns {string} An XML document with a root 'esovdb' element, containing either a 'videos' or a 'submissions' element
+   */
+
+  toXML: (items, kind = 'videos') => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<esovdb xmlns="${xmlNamespace}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${xmlNamespace} ${xmlSchemaLocation}" generated="${new Date().toISOString()}">`,
+    `  <${kind} count="${items.length}">`,
+    ...items.flatMap(kind === 'submissions' ? submissionToXML : videoToXML),
+    `  </${kind}>`,
+    '</esovdb>',
+    ''
+  ].join('\n'),
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as an RSS 2.0 feed, with a Media RSS thumbnail for each video with a YouTube video ID, but no enclosure, since RSS requires an enclosure's length in bytes, which isn't known without downloading the thumbnail
+   *
+   *  @method toRSS
+   *  @requires feedEntry
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON, in the order they should appear in the feed
+   *  @param {Object} feed - Metadata for the feed as a whole
+   *  @param {string} feed.title - The title of the feed
+   *  @param {string} feed.description - A description of the feed
+   *  @param {string} feed.link - The URL of the website the feed corresponds to
+   *  @param {string} feed.self - The URL of the feed itself
+   *  @returns {string} An RSS 2.0 XML document
+   *  @see {@link https://www.rssboard.org/rss-specification|RSS 2.0 Specification}
+   */
+
+  toRSS: (items, feed) => {
+    const entries = items.map(feedEntry);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+      '  <channel>',
+      `    ${xmlElement('title', feed.title)}`,
+      `    ${xmlElement('link', feed.link)}`,
+      `    ${xmlElement('description', feed.description)}`,
+      `    <atom:link href="${escapeXML(feed.self)}" rel="self" type="application/rss+xml"/>`,
+      '    <language>en</language>',
+      `    ${xmlElement('lastBuildDate', (entries.length ? entries[0].added : new Date()).toUTCString())}`,
+      ...entries.flatMap((entry) => [
+        '    <item>',
+        `      ${xmlElement('title', entry.title)}`,
+        ...(entry.link ? [ `      ${xmlElement('link', entry.link)}` ] : []),
+        `      ${xmlElement('guid', entry.id, { isPermaLink: 'false' })}`,
+        `      ${xmlElement('pubDate', entry.added.toUTCString())}`,
+        ...entry.presenters.map((presenter) => `      ${xmlElement('dc:creator', presenter)}`),
+        ...entry.categories.map((category) => `      ${xmlElement('category', category)}`),
+        `      ${xmlElement('description', entry.summary)}`,
+        ...(entry.thumbnail ? [ `      <media:thumbnail url="${escapeXML(entry.thumbnail)}"/>` ] : []),
+        '    </item>'
+      ]),
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  },
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as an Atom feed, with a Media RSS thumbnail and an image enclosure link for each video with a YouTube video ID
+   *
+   *  @method toAtom
+   *  @requires feedEntry
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON, in the order they should appear in the feed
+   *  @param {Object} feed - Metadata for the feed as a whole
+   *  @param {string} feed.title - The title of the feed
+   *  @param {string} feed.description - A description of the feed
+   *  @param {string} feed.link - The URL of the website the feed corresponds to
+   *  @param {string} feed.self - The URL of the feed itself, also used as its ID
+   *  @returns {string} An Atom XML document
+   *  @see {@link https://datatracker.ietf.org/doc/html/rfc4287|RFC 4287}
+   */
+
+  toAtom: (items, feed) => {
+    const entries = items.map(feedEntry);
+    const updated = entries.reduce((latest, entry) => entry.modified > latest ? entry.modified : latest, new Date(0));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+      `  ${xmlElement('id', feed.self)}`,
+      `  ${xmlElement('title', feed.title)}`,
+      `  ${xmlElement('subtitle', feed.description)}`,
+      `  <link href="${escapeXML(feed.link)}"/>`,
+      `  <link href="${escapeXML(feed.self)}" rel="self" type="application/atom+xml"/>`,
+      `  ${xmlElement('updated', (entries.length ? updated : new Date()).toISOString())}`,
+      `  <author>${xmlElement('name', 'Earth Science Online Video Database')}</author>`,
+      ...entries.flatMap((entry) => [
+        '  <entry>',
+        `    ${xmlElement('id', `urn:esovdb:${entry.id}`)}`,
+        `    ${xmlElement('title', entry.title)}`,
+        ...(entry.link ? [ `    <link href="${escapeXML(entry.link)}"/>` ] : []),
+        `    ${xmlElement('published', entry.added.toISOString())}`,
+        `    ${xmlElement('updated', entry.modified.toISOString())}`,
+        ...entry.presenters.map((presenter) => `    <author>${xmlElement('name', presenter)}</author>`),
+        ...entry.categories.map((category) => `    <category term="${escapeXML(category)}"/>`),
+        `    ${xmlElement('summary', entry.summary)}`,
+        ...(entry.thumbnail ? [
+          `    <link rel="enclosure" href="${escapeXML(entry.thumbnail)}" type="image/jpeg"/>`,
+          `    <media:thumbnail url="${escapeXML(entry.thumbnail)}"/>`
+        ] : []),
+        '  </entry>'
+      ]),
+      '</feed>',
+      ''
+    ].join('\n');
+  },
+
+  /**
+   *  Serializes an array of formatted ESOVDB videos as schema.org VideoObject structured data in JSON-LD, suitable for embedding in web pages for search engines
+   *
+   *  @method toJSONLD
+   *  @requires toVideoObject
+   *  @param {Object[]} items - An array of ESOVDB videos, formatted with videoFormat.toZoteroJSON
+   *  @returns {string} A JSON-LD document with a schema.org context and a graph of one VideoObject per video
+   *  @see {@link https://json-ld.org/spec/latest/json-ld/|JSON-LD}
+   */
+
+  toJSONLD: (items) => JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph': items.map(toVideoObject)
+  }),
+
+  /**
+   *  Serializes an array of ESOVDB records as newline-delimited JSON, with one record per line, so that a response can be written (and parsed) a chunk of records at a time
+   *
+   *  @method toNDJSON
+   *  @param {Object[]} items - An array of ESOVDB records, already formatted as JavaScript objects
+   *  @returns {string} One line of JSON per item, each terminated by a newline
+   *  @see {@link https://github.com/ndjson/ndjson-spec|NDJSON Specification}
+   */
+
+  toNDJSON: (items) => items.map((item) => `${JSON.stringify(item)}\n`).join('')
+};
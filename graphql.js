@@ -0,0 +1,485 @@
+/**
+ *  @file GraphQL schema over ESOVDB videos and the series, topics, tags, people, and organizations they're linked to, with per-request batching of Airtable lookups and query depth and complexity limits
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module graphql
+ */
+
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLError,
+  Kind,
+  parse,
+  validate,
+  execute,
+  specifiedRules
+} = require('graphql');
+const { parseVideoFilters } = require('./filters');
+
+/** @constant {number} maxQueryDepth - The maximum depth of nested fields in a GraphQL query (e.g. video › series › videos › topic is 4 deep), not counting introspection fields */
+const maxQueryDepth = 6;
+
+/** @constant {number} maxQueryComplexity - The maximum estimated number of ESOVDB records a GraphQL query can resolve, as calculated by {@link queryComplexity} */
+const maxQueryComplexity = 1000;
+
+/** @constant {number} maxQueryLength - The maximum length, in characters, of a GraphQL query document */
+const maxQueryLength = 10000;
+
+/** @constant {number} defaultLimit - The number of records returned by list fields that take a 'limit' argument, if none is given */
+const defaultLimit = 10;
+
+/** @constant {number} maxLimit - The maximum value of the 'limit' argument of any list field */
+const maxLimit = 100;
+
+/** @constant {number} maxOffset - The maximum value of the 'offset' argument of root list fields, each of which is retrieved from Airtable a page at a time, up to the records it skips */
+const maxOffset = 1000;
+
+/** @constant {Map} linkListSizes - Maps list fields without a 'limit' argument to the number of records each is assumed to resolve, for calculating query complexity */
+const linkListSizes = new Map([
+  [ 'tags', 10 ],
+  [ 'people', 5 ],
+  [ 'presenters', 5 ]
+]);
+
+/**
+ *  Creates an error for an invalid GraphQL request, with a code sent to the client in the error's extensions
+ *
+ *  @function graphQLError
+ *  @param {string} message - A description of what is wrong with the request
+ *  @param {string} code - The error's code (e.g. 'QUERY_TOO_COMPLEX')
+ *  @param {Object} [node] - The AST node of the query the error is about, for reporting its location
+ *  @returns {GraphQLError} A GraphQL error with {@link code} in its extensions
+ */
+
+const graphQLError = (message, code, node) => new GraphQLError(message, { nodes: node, extensions: { code } });
+
+/**
+ *  Clamps the 'limit' argument of a list field to between 1 and {@link maxLimit}, or the lower maximum of the client's plan
+ *
+ *  @function clampLimit
+ *  @param {?number} limit - The 'limit' argument, as sent in the query
+ *  @param {number} [max=maxLimit] - The maximum number of records the client can request in a single list
+ *  @returns {number} The number of records to return
+ */
+
+const clampLimit = (limit, max = maxLimit) => Math.max(1, Math.min(Number.isInteger(limit) ? limit : defaultLimit, max, maxLimit));
+
+/**
+ *  Creates a loader, which collects every key requested while a GraphQL query resolves one level of fields, and then retrieves them all at once, so that resolving a link for each of a list of records costs one batched lookup, rather than one per record
+ *
+ *  @function createLoader
+ *  @param {Function} batch - An async function that is passed a list of unique keys, and returns a list of their values, in the same order, where an Error in place of a value fails only that key
+ *  @param {Function} [keyOf] - A function that returns a string identifying a key, for de-duplicating keys that aren't strings
+ *  @returns {Function} A function that is passed a key, and returns a Promise of its value, which is shared by every request for the same key
+ */
+
+const createLoader = (batch, keyOf = (key) => key) => {
+  const values = new Map();
+  let queue = [];
+
+  const dispatch = async () => {
+    const jobs = queue;
+    queue = [];
+
+    try {
+      const results = await batch(jobs.map(({ key }) => key));
+      jobs.forEach(({ resolve, reject }, i) => results[i] instanceof Error ? reject(results[i]) : resolve(typeof results[i] === 'undefined' ? null : results[i]));
+    } catch (err) {
+      jobs.forEach(({ reject }) => reject(err));
+    }
+  };
+
+  return (key) => {
+    const id = keyOf(key);
+
+    if (!values.has(id)) {
+      values.set(id, new Promise((resolve, reject) => queue.push({ key, resolve, reject })));
+      if (queue.length === 1) setImmediate(dispatch);
+    }
+
+    return values.get(id);
+  };
+};
+
+/**
+ *  Creates the context of a single GraphQL request, with its own loaders, so that records are batched and de-duplicated within a request, but never shared between requests
+ *
+ *  @function createContext
+ *  @requires createLoader
+ *  @param {Object} sources - Async functions that retrieve ESOVDB records from Airtable, as provided by {@link esovdb.queryGraphQL}
+ *  @param {Function} sources.recordsById - Is passed the name of an ESOVDB table and a list of record IDs, and returns a list of the matching records, or null for each ID not found
+ *  @param {Function} sources.recordsByName - Is passed the name of an ESOVDB table and a list of names, and returns a list of the records with each name, or null for each name not found
+ *  @param {Function} sources.videosMatching - Is passed a list of queries, each with parsed video filters as 'filters' and a number of videos as 'limit', and returns a list of the matching videos for each query, or an Error for each query whose videos can't all be retrieved
+ *  @param {Function} sources.listRecords - Is passed the name of an ESOVDB table, a number of records, and a number of records to skip, and returns that many records from the table, in order of name
+ *  @param {number} [max=maxLimit] - The maximum number of records the client can request in a single list, for {@link clampLimit}
+ *  @returns {Object} The context passed to every resolver, with methods that load a record by ID as 'record', a record by name as 'named', videos matching filters as 'videos', and a list of records as 'list'
+ */
+
+const createContext = (sources, max = maxLimit) => {
+  const loaders = new Map();
+
+  const loader = (name, batch, keyOf) => {
+    if (!loaders.has(name)) loaders.set(name, createLoader(batch, keyOf));
+    return loaders.get(name);
+  };
+
+  return {
+    record: (table, id) => loader(`id:${table}`, (ids) => sources.recordsById(table, ids))(id),
+    named: (table, name) => name ? loader(`name:${table}`, (names) => sources.recordsByName(table, names), (key) => key.toLowerCase())(name) : null,
+    videos: (filters, limit) => loader('videos', (queries) => sources.videosMatching(queries), (key) => JSON.stringify(key))({ filters, limit: clampLimit(limit, max) }),
+    list: (table, limit, offset) => sources.listRecords(table, clampLimit(limit, max), offset || 0)
+  };
+};
+
+/**
+ *  Builds the video filters for the videos linked to a series, topic, tag, person, or organization, which are matched by name (or, for a person, by the record IDs of their linked videos), in the same way as the video query endpoints' filters
+ *
+ *  @function linkedFilters
+ *  @requires filters.parseVideoFilters
+ *  @param {Object} filters - The filter(s) to set (e.g. { series: 'Geology of the Grand Canyon' })
+ *  @returns {Object} Video filters, as parsed by {@link filters.parseVideoFilters}, with only {@link filters} set
+ */
+
+const linkedFilters = (filters) => ({ ...parseVideoFilters(), ...filters });
+
+/** @constant {Object} limitArg - The 'limit' argument of list fields, between 1 and {@link maxLimit} */
+const limitArg = { limit: { type: GraphQLInt, description: `The maximum number of records to return (default: ${defaultLimit}, max: ${maxLimit})` } };
+
+/** @constant {Object} lookupArgs - The arguments of fields that look up a single record, by its Airtable record ID or its name */
+const lookupArgs = {
+  id: { type: GraphQLID, description: 'The Airtable record ID of the record' },
+  name: { type: GraphQLString, description: 'The name of the record, case-insensitively' }
+};
+
+/**
+ *  Builds the fields of a type of record that's linked to videos by name (i.e. a series, topic, tag, person, or organization)
+ *
+ *  @function linkedFields
+ *  @requires linkedFilters
+ *  @param {Function} videoType - Returns the Video type, which isn't defined yet when this is called
+ *  @param {Function} filtersOf - Is passed the record, and returns the video filters that select the videos linked to it
+ *  @returns {Object} The fields of a GraphQL object type
+ */
+
+const linkedFields = (videoType, filtersOf) => ({
+  id: { type: new GraphQLNonNull(GraphQLID), description: 'The Airtable record ID' },
+  name: { type: GraphQLString, resolve: (record) => record['Name'] || null },
+  zoteroKey: { type: GraphQLString, description: 'The key of the matching collection in the ESOVDB Zotero library, if there is one', resolve: (record) => record['Zotero Key'] || null },
+  videos: {
+    type: new GraphQLList(videoType()),
+    description: 'Videos linked to this record, most recently modified first',
+    args: limitArg,
+    resolve: (record, { limit }, context) => record['Name'] ? context.videos(linkedFilters(filtersOf(record)), limit) : []
+  }
+});
+
+const Presenter = new GraphQLObjectType({
+  name: 'Presenter',
+  fields: {
+    firstName: { type: GraphQLString },
+    lastName: { type: GraphQLString }
+  }
+});
+
+const Series = new GraphQLObjectType({
+  name: 'Series',
+  description: 'A series of ESOVDB videos',
+  fields: () => linkedFields(() => Video, (record) => ({ series: record['Name'] }))
+});
+
+const Topic = new GraphQLObjectType({
+  name: 'Topic',
+  description: 'An ESOVDB topic',
+  fields: () => linkedFields(() => Video, (record) => ({ topic: record['Name'] }))
+});
+
+const Tag = new GraphQLObjectType({
+  name: 'Tag',
+  description: 'An ESOVDB tag',
+  fields: () => linkedFields(() => Video, (record) => ({ tags: [ record['Name'] ] }))
+});
+
+const Person = new GraphQLObjectType({
+  name: 'Person',
+  description: 'A person who presents ESOVDB videos',
+  fields: () => linkedFields(() => Video, (record) => ({ videoIds: [].concat(record['Videos'] || []) }))
+});
+
+const Organization = new GraphQLObjectType({
+  name: 'Organization',
+  description: 'An organization that publishes ESOVDB videos',
+  fields: () => linkedFields(() => Video, (record) => ({ publisher: record['Name'] }))
+});
+
+const Video = new GraphQLObjectType({
+  name: 'Video',
+  description: 'An ESOVDB video, with the same fields as the video query endpoints\' default (Zotero) format, and links to its series, topic, tags, presenters, and publisher',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLID), description: 'The Airtable record ID' },
+    esovdbId: { type: GraphQLString },
+    title: { type: GraphQLString },
+    url: { type: GraphQLString },
+    year: { type: GraphQLInt },
+    desc: { type: GraphQLString },
+    runningTime: { type: GraphQLString },
+    format: { type: GraphQLString },
+    language: { type: GraphQLString },
+    location: { type: GraphQLString },
+    plusCode: { type: GraphQLString },
+    provider: { type: GraphQLString },
+    learnMore: { type: GraphQLString },
+    vol: { type: GraphQLString },
+    no: { type: GraphQLString },
+    seriesCount: { type: GraphQLInt, resolve: (video) => video.seriesCount || null },
+    zoteroKey: { type: GraphQLString },
+    accessDate: { type: GraphQLString },
+    created: { type: GraphQLString },
+    modified: { type: GraphQLString },
+    presenters: { type: new GraphQLList(Presenter), description: 'The names of the video\'s presenters, as they appear on the video' },
+    series: { type: Series, resolve: (video, args, context) => context.named('Series', video.series) },
+    topic: { type: Topic, resolve: (video, args, context) => context.named('Topics', video.topic) },
+    tags: { type: new GraphQLList(Tag), resolve: (video, args, context) => Promise.all((video.tags || []).map((tag) => context.named('Tags', tag))).then((tags) => tags.filter(Boolean)) },
+    publisher: { type: Organization, resolve: (video, args, context) => context.named('Organizations', video.publisher) },
+    people: {
+      type: new GraphQLList(Person),
+      description: 'The people records of the video\'s presenters',
+      resolve: (video, args, context) => Promise.all((video.presenters || [])
+        .map(({ firstName, lastName }) => [ firstName, lastName ].filter(Boolean).join(' '))
+        .map((name) => context.named('People', name))).then((people) => people.filter(Boolean))
+    }
+  })
+});
+
+/**
+ *  Builds a root query field that looks up a single record of a given table, by either its record ID or its name
+ *
+ *  @function lookupField
+ *  @param {GraphQLObjectType} type - The GraphQL type of the record
+ *  @param {string} table - The name of the record's ESOVDB Airtable table
+ *  @returns {Object} A GraphQL field config
+ */
+
+const lookupField = (type, table) => ({
+  type,
+  args: lookupArgs,
+  resolve: (root, { id, name }, context) => {
+    if (!id === !name) throw graphQLError(`Exactly one of "id" or "name" is required.`, 'BAD_USER_INPUT');
+    return id ? context.record(table, id) : context.named(table, name);
+  }
+});
+
+/**
+ *  Builds a root query field that lists records of a given table, in order of name, a page at a time
+ *
+ *  @function listField
+ *  @param {GraphQLObjectType} type - The GraphQL type of the records
+ *  @param {string} table - The name of the records' ESOVDB Airtable table
+ *  @returns {Object} A GraphQL field config
+ */
+
+const listField = (type, table) => ({
+  type: new GraphQLList(type),
+  args: {
+    ...limitArg,
+    offset: { type: GraphQLInt, description: `The number of records to skip, in order of name, for retrieving the next page of records (default: 0, max: ${maxOffset})` }
+  },
+  resolve: (root, { limit, offset }, context) => {
+    if (offset !== null && typeof offset !== 'undefined' && (offset < 0 || offset > maxOffset)) throw graphQLError(`"offset" must be from 0 to ${maxOffset}.`, 'BAD_USER_INPUT');
+    return context.list(table, limit, offset);
+  }
+});
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    video: {
+      type: Video,
+      args: { id: { type: new GraphQLNonNull(GraphQLID), description: 'The Airtable record ID of the video' } },
+      resolve: (root, { id }, context) => context.record('Videos', id)
+    },
+    videos: {
+      type: new GraphQLList(Video),
+      description: 'Videos matching the same filters as the video query endpoints, most recently modified first',
+      args: {
+        ...limitArg,
+        topic: { type: GraphQLString },
+        videoFormat: { type: GraphQLString },
+        tag: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+        tagMode: { type: GraphQLString },
+        series: { type: GraphQLString },
+        presenter: { type: GraphQLString },
+        publisher: { type: GraphQLString },
+        language: { type: GraphQLString },
+        yearFrom: { type: GraphQLInt },
+        yearTo: { type: GraphQLInt },
+        minRunningTime: { type: GraphQLString },
+        maxRunningTime: { type: GraphQLString }
+      },
+      resolve: (root, { limit, ...args }, context) => {
+        const query = Object.fromEntries(Object.entries(args).filter(([ , value ]) => value !== null).map(([ key, value ]) => [ key, typeof value === 'number' ? String(value) : value ]));
+        return context.videos(parseVideoFilters(query), limit);
+      }
+    },
+    series: lookupField(Series, 'Series'),
+    topic: lookupField(Topic, 'Topics'),
+    tag: lookupField(Tag, 'Tags'),
+    person: lookupField(Person, 'People'),
+    organization: lookupField(Organization, 'Organizations'),
+    allSeries: listField(Series, 'Series'),
+    allTopics: listField(Topic, 'Topics'),
+    allTags: listField(Tag, 'Tags'),
+    allPeople: listField(Person, 'People'),
+    allOrganizations: listField(Organization, 'Organizations')
+  }
+});
+
+/** @constant {GraphQLSchema} schema - The ESOVDB GraphQL schema, which is read-only */
+const schema = new GraphQLSchema({ query: Query });
+
+/**
+ *  Walks the fields of a selection set, following fragments, and calls a function with each field and the result of walking its own selection set
+ *
+ *  @function walkSelections
+ *  @param {Object} selectionSet - A selection set node of a GraphQL query's AST
+ *  @param {Object} fragments - Maps the names of the query's fragments to their definitions
+ *  @param {Function} visit - Is passed each field node, and a function that walks the field's own selection set, and returns a number
+ *  @param {Set} [seen=new Set()] - The names of fragments already being walked, to guard against fragment cycles
+ *  @returns {number[]} The results of {@link visit} for each field
+ */
+
+const walkSelections = (selectionSet, fragments, visit, seen = new Set()) => selectionSet.selections.flatMap((selection) => {
+  if (selection.kind === Kind.FIELD) return [ visit(selection, (set) => set ? walkSelections(set, fragments, visit, seen) : []) ];
+  if (selection.kind === Kind.INLINE_FRAGMENT) return walkSelections(selection.selectionSet, fragments, visit, seen);
+  const fragment = fragments[selection.name.value];
+  if (!fragment || seen.has(fragment.name.value)) return [];
+  return walkSelections(fragment.selectionSet, fragments, visit, new Set([ ...seen, fragment.name.value ]));
+});
+
+/**
+ *  Calculates the depth of a GraphQL operation, as the number of nested fields with selection sets of their own, ignoring introspection fields
+ *
+ *  @function queryDepth
+ *  @requires walkSelections
+ *  @param {Object} operation - An operation definition node of a GraphQL query's AST
+ *  @param {Object} fragments - Maps the names of the query's fragments to their definitions
+ *  @returns {number} The depth of {@link operation}
+ */
+
+const queryDepth = (operation, fragments) => Math.max(0, ...walkSelections(operation.selectionSet, fragments, (field, walk) =>
+  field.name.value.startsWith('__') || !field.selectionSet ? 0 : 1 + Math.max(0, ...walk(field.selectionSet))));
+
+/**
+ *  Estimates the number of ESOVDB records a GraphQL operation can resolve, by multiplying the cost of each list field's selection set by its 'limit' argument, or by its assumed size from {@link linkListSizes}
+ *
+ *  @function queryComplexity
+ *  @requires walkSelections
+ *  @param {Object} operation - An operation definition node of a GraphQL query's AST
+ *  @param {Object} fragments - Maps the names of the query's fragments to their definitions
+ *  @param {Object} variables - The values of the query's variables, for resolving a 'limit' argument sent as a variable
+ *  @returns {number} The estimated complexity of {@link operation}
+ */
+
+const queryComplexity = (operation, fragments, variables) => walkSelections(operation.selectionSet, fragments, (field, walk) => {
+  if (field.name.value.startsWith('__') || !field.selectionSet) return 0;
+  const limit = (field.arguments || []).find((arg) => arg.name.value === 'limit');
+  let size = linkListSizes.get(field.name.value) || 1;
+
+  if (limit) size = clampLimit(limit.value.kind === Kind.VARIABLE ? variables[limit.value.name.value] : limit.value.kind === Kind.INT ? +limit.value.value : null);
+  else if ([ 'videos', 'allSeries', 'allTopics', 'allTags', 'allPeople', 'allOrganizations' ].includes(field.name.value)) size = defaultLimit;
+
+  return size * (1 + walk(field.selectionSet).reduce((sum, cost) => sum + cost, 0));
+}).reduce((sum, cost) => sum + cost, 0);
+
+/**
+ *  Creates a GraphQL validation rule that rejects operations nested more than {@link maxQueryDepth} fields deep, or with a complexity, from {@link queryComplexity}, over {@link maxQueryComplexity}
+ *
+ *  @function queryLimits
+ *  @requires queryDepth
+ *  @requires queryComplexity
+ *  @param {Object} variables - The values of the query's variables
+ *  @returns {Function} A GraphQL validation rule
+ */
+
+const queryLimits = (variables) => (context) => {
+  const fragments = Object.fromEntries(context.getDocument().definitions
+    .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map((definition) => [ definition.name.value, definition ]));
+
+  return {
+    OperationDefinition: (operation) => {
+      const depth = queryDepth(operation, fragments);
+      const complexity = queryComplexity(operation, fragments, variables);
+      if (depth > maxQueryDepth) context.reportError(graphQLError(`Query is nested ${depth} fields deep, but can be at most ${maxQueryDepth} deep.`, 'QUERY_TOO_DEEP', operation));
+      if (complexity > maxQueryComplexity) context.reportError(graphQLError(`Query has a complexity of ${complexity}, but can be at most ${maxQueryComplexity}.  Request fewer records with smaller "limit" arguments, or less nesting.`, 'QUERY_TOO_COMPLEX', operation));
+    }
+  };
+};
+
+/**
+ *  Formats an error from parsing, validating, or executing a GraphQL query for the response, with its code in its extensions
+ *
+ *  @function formatError
+ *  @param {GraphQLError} err - A GraphQL error, possibly wrapping an error thrown by a resolver
+ *  @returns {Object} The error, as formatted by the GraphQL spec, with a code in its extensions
+ */
+
+const formatError = (err) => {
+  const original = err.originalError;
+  const code = err.extensions.code || (original && original.code) || (original ? 'INTERNAL_SERVER_ERROR' : 'GRAPHQL_VALIDATION_FAILED');
+  return { ...err.toJSON(), extensions: { ...err.extensions, code } };
+};
+
+module.exports = {
+  schema,
+
+  /**
+   *  Parses, validates, and executes a GraphQL query against the ESOVDB schema
+   *
+   *  @async
+   *  @method executeQuery
+   *  @requires createContext
+   *  @requires queryLimits
+   *  @param {Object} params - The GraphQL request's params, from either the body of a POST request or the URL query params of a GET request
+   *  @param {string} params.query - The GraphQL query document
+   *  @param {(Object|string)} [params.variables] - The values of the query's variables, or a JSON string of them
+   *  @param {string} [params.operationName] - The name of the operation to execute, if the query has more than one
+   *  @param {Object} sources - Async functions that retrieve ESOVDB records from Airtable, as described in {@link createContext}
+   *  @param {number} [max=maxLimit] - The maximum number of records the client's plan can request in a single list
+   *  @returns {Promise<Object>} The HTTP status to send as 'status', and the GraphQL response, with 'data' and/or 'errors', as 'body'
+   */
+
+  executeQuery: async ({ query, variables, operationName } = {}, sources, max = maxLimit) => {
+    const badRequest = (message, code) => ({ status: 400, body: { errors: [ formatError(graphQLError(message, code)) ] } });
+    let document;
+
+    if (typeof query !== 'string' || !query.trim()) return badRequest(`"query" is required.`, 'BAD_REQUEST');
+    if (query.length > maxQueryLength) return badRequest(`"query" cannot be longer than ${maxQueryLength} characters.`, 'BAD_REQUEST');
+    if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') return badRequest(`"operationName" must be a string.`, 'BAD_REQUEST');
+
+    try {
+      if (typeof variables === 'string') variables = variables ? JSON.parse(variables) : {};
+    } catch (err) {
+      return badRequest(`"variables" must be a JSON object.`, 'BAD_REQUEST');
+    }
+
+    if (variables === undefined || variables === null) variables = {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) return badRequest(`"variables" must be a JSON object.`, 'BAD_REQUEST');
+
+    try {
+      document = parse(query);
+    } catch (err) {
+      return { status: 400, body: { errors: [ formatError(graphQLError(err.message, 'GRAPHQL_PARSE_FAILED')) ] } };
+    }
+
+    const errors = validate(schema, document, [ ...specifiedRules, queryLimits(variables) ]);
+    if (errors.length > 0) return { status: 400, body: { errors: errors.map(formatError) } };
+
+    const result = await execute({ schema, document, variableValues: variables, operationName, contextValue: createContext(sources, max) });
+    return { status: result.data ? 200 : 400, body: result.errors ? { ...result, errors: result.errors.map(formatError) } : result };
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ *  @file Registry of API keys stored in Upstash Redis, each with a label, scopes, an optional daily quota and expiry, and a revoked flag, so that each consumer of the API can be given its own key with only the access it needs
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module keys
+ */
+
+const crypto = require('crypto');
+const { db } = require('./batch');
+
+/** @constant {string} keyNamespace - The prefix of every Redis key used by the API key registry */
+const keyNamespace = 'apikeys';
+
+/** @constant {RegExp} regexApiKey - Matches an API key minted by {@link mintKey}, capturing its ID and its secret */
+const regexApiKey = /^esovdb_([0-9a-f]{16})_([\w\-]{32})$/;
+
+/** @constant {RegExp} regexKeyId - Matches the ID of an API key */
+const regexKeyId = /^[0-9a-f]{16}$/;
+
+/** @constant {Map} scopes - Maps each scope that can be granted to an API key to a description of the endpoints it allows access to */
+const scopes = new Map([
+  [ 'read:videos', 'Query videos, submissions, and their linked records, search, and GraphQL (/v1)' ],
+  [ 'write:zotero', 'Sync records with Zotero and update Airtable records (/zotero/:kind, /:table/update)' ],
+  [ 'manage:watchlist', 'Manage the YouTube watchlist and submit YouTube channels, playlists, and videos (/watch, /submissions/youtube)' ],
+  [ 'manage:webhooks', 'Manage webhook subscriptions and send Discord and Twitter webhooks (/webhooks)' ]
+]);
+
+/** @constant {string} adminScope - The scope needed to administer API keys and the response cache (/admin), which can't be granted to an API key, so that only ESOVDB_KEY has it */
+const adminScope = 'admin';
+
+/** @constant {number} usageTtl - The duration, in seconds, after which the count of a key's requests on a given day is evicted from Redis (default: 172800s = 48h) */
+const usageTtl = 60 * 60 * 48;
+
+/**
+ *  Creates an error for an invalid API key request, which can be sent to the client with its status
+ *
+ *  @function keyError
+ *  @param {string} message - A description of what is wrong with the request
+ *  @param {string} code - A machine-readable error code (e.g. 'INVALID_SCOPES')
+ *  @param {number} [status=400] - The HTTP status of the error
+ *  @returns {Error} An error with {@link status} and {@link code}
+ */
+
+const keyError = (message, code, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+/**
+ *  Hashes the secret part of an API key, so that only its hash is ever stored
+ *
+ *  @function hashSecret
+ *  @param {string} secret - The secret part of an API key
+ *  @returns {string} The SHA-256 hash of {@link secret}, as hex
+ */
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ *  Generates a new secret for an API key, and the API key itself, which is only ever sent to the client once
+ *
+ *  @function newSecret
+ *  @param {string} id - The ID of the API key
+ *  @returns {Object} The API key as 'key', and the hash of its secret as 'hash'
+ */
+
+const newSecret = (id) => {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { key: `esovdb_${id}_${secret}`, hash: hashSecret(secret) };
+};
+
+/**
+ *  Parses and validates the scopes of an API key
+ *
+ *  @function parseScopes
+ *  @param {(string|string[])} value - A comma-separated list, or an array, of scopes (e.g. 'read:videos,manage:watchlist')
+ *  @returns {string[]} The list of scopes
+ *  @throws Will throw an error with a 400 status and the code 'INVALID_SCOPES' if {@link value} is empty or has scopes that can't be granted
+ */
+
+const parseScopes = (value) => {
+  const names = [ ...new Set([].concat(value || []).join(',').split(',').map((name) => name.trim()).filter(Boolean)) ];
+  if (names.length === 0) throw keyError(`"scopes" cannot be empty.`, 'INVALID_SCOPES');
+
+  const unknown = names.filter((name) => !scopes.has(name));
+  if (unknown.length > 0) throw keyError(`Unknown or ungrantable scope(s) ${unknown.map((s) => `"${s}"`).join(', ')}. Valid scopes are: ${[ ...scopes.keys() ].map((s) => `"${s}"`).join(', ')}.`, 'INVALID_SCOPES');
+
+  return names;
+};
+
+/**
+ *  Parses and validates the expiry of an API key
+ *
+ *  @function parseExpiry
+ *  @param {?string} value - An ISO 8601 date/time in the future, or null for a key that never expires
+ *  @returns {?string} The expiry as an ISO 8601 date/time, or null
+ *  @throws Will throw an error with a 400 status and the code 'INVALID_EXPIRY' if {@link value} isn't a date/time in the future
+ */
+
+const parseExpiry = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const time = Date.parse(value);
+  if (isNaN(time) || time <= Date.now()) throw keyError(`"expiresAt" must be an ISO 8601 date/time in the future.`, 'INVALID_EXPIRY');
+  return new Date(time).toISOString();
+};
+
+/**
+ *  Parses and validates the daily quota of an API key
+ *
+ *  @function parseQuota
+ *  @param {?(number|string)} value - The maximum number of requests the key can make per day (UTC), or null for no quota
+ *  @returns {?number} The quota, or null
+ *  @throws Will throw an error with a 400 status and the code 'INVALID_QUOTA' if {@link value} isn't a positive integer
+ */
+
+const parseQuota = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  if (!Number.isInteger(+value) || +value <= 0) throw keyError(`"quota" must be a positive integer number of requests per day.`, 'INVALID_QUOTA');
+  return +value;
+};
+
+/**
+ *  Reads the stored record of an API key, along with when it was revoked, which is stored under its own Redis key, so that rewriting the record can never un-revoke it
+ *
+ *  @async
+ *  @function readKey
+ *  @param {string} id - The ID of the API key
+ *  @returns {Promise<?Object>} Resolves to the stored record of the key, including the hash of its secret, or null if it doesn't exist
+ */
+
+const readKey = async (id) => {
+  const [ value, revokedAt ] = await Promise.all([ db.get(`${keyNamespace}:key:${id}`), db.get(`${keyNamespace}:revoked:${id}`) ]);
+  if (value === null || typeof value === 'undefined') return null;
+  const record = typeof value === 'string' ? JSON.parse(value) : value;
+  if (revokedAt === null || typeof revokedAt === 'undefined') return { ...record, revoked: Boolean(record.revoked), revokedAt: record.revokedAt || null };
+  return { ...record, revoked: true, revokedAt: String(revokedAt) };
+};
+
+/**
+ *  Writes the stored record of an API key, without whether or not it's revoked, which only {@link revokeKey} writes
+ *
+ *  @async
+ *  @function writeKey
+ *  @param {Object} record - The record of the key, including the hash of its secret
+ *  @returns {Promise<void>} A promise that resolves once the record is written
+ */
+
+const writeKey = async ({ revoked, revokedAt, ...record }) => {
+  await db.set(`${keyNamespace}:key:${record.id}`, JSON.stringify(record));
+  await db.sAdd(`${keyNamespace}:ids`, [ record.id ]);
+};
+
+/**
+ *  Reads the stored record of an API key that must exist, for managing it
+ *
+ *  @async
+ *  @function findKey
+ *  @requires readKey
+ *  @param {string} id - The ID of the API key
+ *  @returns {Promise<Object>} Resolves to the stored record of the key
+ *  @throws Will throw an error with a 404 status and the code 'KEY_NOT_FOUND' if the key doesn't exist
+ */
+
+const findKey = async (id) => {
+  const record = regexKeyId.test(id || '') ? await readKey(id) : null;
+  if (record === null) throw keyError(`Unable to find API key "${id}".`, 'KEY_NOT_FOUND', 404);
+  return record;
+};
+
+/**
+ *  Leaves the hash of the secret out of an API key's record, so that it can be sent to the client
+ *
+ *  @function publicKey
+ *  @param {Object} record - The stored record of an API key
+ *  @returns {Object} The record, without its hash, and with whether or not it has expired
+ */
+
+const publicKey = ({ hash, ...record }) => ({ ...record, expired: Boolean(record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) });
+
+module.exports = {
+  /** @constant {Map} scopes - Exports the scopes that can be granted to an API key */
+  scopes,
+
+  /** @constant {string} adminScope - Exports the scope needed to administer API keys and the response cache */
+  adminScope,
+
+  /**
+   *  Mints a new API key
+   *
+   *  @async
+   *  @method mintKey
+   *  @param {Object} options - The properties of the new key
+   *  @param {string} options.label - A name for the key, describing who or what uses it (e.g. 'iOS Shortcut')
+   *  @param {(string|string[])} options.scopes - The scopes of the key, as a comma-separated list or an array (e.g. 'read:videos')
+   *  @param {string} [options.expiresAt] - An ISO 8601 date/time after which the key is no longer valid
+   *  @param {number} [options.quota] - The maximum number of requests the key can make per day (UTC)
+   *  @returns {Promise<Object>} Resolves to the key's record, with the key itself as 'key', which is never sent again
+   *  @throws Will throw an error with a 400 status if any of {@link options} are invalid
+   */
+
+  mintKey: async ({ label, scopes: requested, expiresAt, quota } = {}) => {
+    if (typeof label !== 'string' || !label.trim()) throw keyError(`"label" is required.`, 'INVALID_LABEL');
+    const id = crypto.randomBytes(8).toString('hex');
+    const { key, hash } = newSecret(id);
+
+    const record = {
+      id,
+      label: label.trim(),
+      scopes: parseScopes(requested),
+      quota: parseQuota(quota),
+      expiresAt: parseExpiry(expiresAt),
+      revoked: false,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+      hash
+    };
+
+    await writeKey(record);
+    return { key, ...publicKey(record) };
+  },
+
+  /**
+   *  Rotates an API key, replacing its secret, so that the old key stops working at once, while keeping its ID, label, scopes, and quota
+   *
+   *  @async
+   *  @method rotateKey
+   *  @param {string} id - The ID of the API key
+   *  @param {Object} [options={}] - Properties of the key to change while rotating it
+   *  @param {string} [options.expiresAt] - A new ISO 8601 date/time after which the key is no longer valid
+   *  @returns {Promise<Object>} Resolves to the key's record, with the new key itself as 'key', which is never sent again
+   *  @throws Will throw an error with a 404 status if the key doesn't exist, or with a 400 status if it's revoked or {@link options.expiresAt} is invalid
+   */
+
+  rotateKey: async (id, { expiresAt } = {}) => {
+    const record = await findKey(id);
+    if (record.revoked) throw keyError(`API key "${id}" has been revoked, and can't be rotated.  Mint a new key instead.`, 'KEY_REVOKED');
+    const { key, hash } = newSecret(id);
+    const rotated = { ...record, hash, rotatedAt: new Date().toISOString(), expiresAt: typeof expiresAt === 'undefined' ? record.expiresAt : parseExpiry(expiresAt) };
+    await writeKey(rotated);
+    return { key, ...publicKey(rotated) };
+  },
+
+  /**
+   *  Revokes an API key, so that it stops working at once, while keeping its record, by setting when it was revoked under its own Redis key, which nothing else writes, so that a concurrent {@link rotateKey} can't un-revoke it
+   *
+   *  @async
+   *  @method revokeKey
+   *  @param {string} id - The ID of the API key
+   *  @returns {Promise<Object>} Resolves to the key's record
+   *  @throws Will throw an error with a 404 status if the key doesn't exist
+   */
+
+  revokeKey: async (id) => {
+    const record = await findKey(id);
+    if (record.revoked) return publicKey(record);
+    const revokedAt = new Date().toISOString();
+    const first = await db.set(`${keyNamespace}:revoked:${id}`, revokedAt, { nx: true });
+    return first ? publicKey({ ...record, revoked: true, revokedAt }) : publicKey(await findKey(id));
+  },
+
+  /**
+   *  Lists every API key, most recently created first
+   *
+   *  @async
+   *  @method listKeys
+   *  @returns {Promise<Object[]>} Resolves to the record of every key, without its secret
+   */
+
+  listKeys: async () => {
+    const ids = await db.sMembers(`${keyNamespace}:ids`);
+    const records = await Promise.all(ids.map(readKey));
+    return records.filter(Boolean).map(publicKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  /**
+   *  Verifies an API key sent by a client, which must have been minted by {@link mintKey}, and must not be revoked or expired
+   *
+   *  @async
+   *  @method verifyKey
+   *  @param {string} key - The API key sent by the client
+   *  @returns {Promise<?Object>} Resolves to the key's record, without its secret, or null if the key isn't valid
+   */
+
+  verifyKey: async (key) => {
+    const match = regexApiKey.exec(key || '');
+    if (!match) return null;
+
+    const record = await readKey(match[1]);
+    if (record === null || record.revoked || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) return null;
+
+    const expected = Buffer.from(record.hash, 'hex'), actual = Buffer.from(hashSecret(match[2]), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? publicKey(record) : null;
+  },
+
+  /**
+   *  Counts a request made with an API key towards its daily quota
+   *
+   *  @async
+   *  @method countUsage
+   *  @param {string} id - The ID of the API key
+   *  @returns {Promise<number>} Resolves to the number of requests made with the key so far today (UTC), including this one
+   */
+
+  countUsage: async (id) => {
+    const usageKey = `${keyNamespace}:usage:${id}:${new Date().toISOString().slice(0, 10)}`;
+    const used = await db.incr(usageKey);
+    if (used === 1) await db.expire(usageKey, usageTtl);
+    return used;
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ *  @file Plans of the ESOVDB API, which map each RapidAPI subscription tier, and the API's own keys, to what they can do: bypass the cache with the premium 'esovdb-no-cache' header, request pages of a certain size, and request certain output formats
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module plans
+ */
+
+/** @constant {number} maxPageSize - The largest page size any plan can request, which is the largest page of records Airtable returns */
+const maxPageSize = 100;
+
+/** @constant {Map} plans - Maps each RapidAPI subscription tier, as sent by RapidAPI in the X-RapidAPI-Subscription header, and 'INTERNAL', the plan of ESOVDB_KEY and every API key from the key registry, to whether it can bypass the cache with the 'esovdb-no-cache' header, the largest page size it can request, and the output formats it can't request */
+const plans = new Map([
+  [ 'BASIC', { noCache: false, maxPageSize: 25, excludedFormats: [ 'geojson', 'kml', 'bibtex', 'ris', 'csl-json', 'xml', 'jsonld', 'ndjson' ] } ],
+  [ 'PRO', { noCache: true, maxPageSize, excludedFormats: [ 'ndjson' ] } ],
+  [ 'ULTRA', { noCache: true, maxPageSize, excludedFormats: [] } ],
+  [ 'MEGA', { noCache: true, maxPageSize, excludedFormats: [] } ],
+  [ 'INTERNAL', { noCache: true, maxPageSize, excludedFormats: [] } ]
+]);
+
+module.exports = {
+  /** @constant {number} maxPageSize - Exports the largest page size any plan can request */
+  maxPageSize,
+
+  /**
+   *  Returns the plan of an authenticated request, where requests through RapidAPI get the plan of their subscription tier, or the 'BASIC' plan if their tier is unknown, and every other request gets the 'INTERNAL' plan
+   *
+   *  @method planFor
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class, authenticated by middleware.auth
+   *  @returns {Object} The name of the plan as 'name', along with its capabilities, from {@link plans}
+   */
+
+  planFor: (req) => {
+    let name = 'INTERNAL';
+
+    if (req.apiKey && req.apiKey.id === 'rapidapi') {
+      const tier = String(req.headers['x-rapidapi-subscription'] || '').trim().toUpperCase();
+      name = plans.has(tier) && tier !== 'INTERNAL' ? tier : 'BASIC';
+    }
+
+    return { name, ...plans.get(name) };
+  },
+
+  /**
+   *  Returns whether or not a request bypasses the cache with the premium 'esovdb-no-cache' header, which is only allowed by some plans, and, for requests that don't come through RapidAPI, must be set to ESOVDB_NO_CACHE
+   *
+   *  @method bypassesCache
+   *  @param {Object} req - An [http request]{@link req}, or any object with headers and, if it has been authenticated by middleware.plan, a plan as 'plan'
+   *  @returns {boolean} True if the request's response should be retrieved fresh from Airtable, else false
+   */
+
+  bypassesCache: (req) => {
+    const header = req && req.headers ? req.headers['esovdb-no-cache'] : null;
+    if (!header || !req.plan || !req.plan.noCache) return false;
+    return req.apiKey.id === 'rapidapi' || header === process.env.ESOVDB_NO_CACHE;
+  }
+};
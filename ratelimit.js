@@ -0,0 +1,71 @@
+/**
+ *  @file Token-bucket rate limiting of incoming requests, per API key or IP address, with each bucket kept in Upstash Redis and updated atomically by a Lua script, so that limits are shared by every instance of node running in a PM2 cluster
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module ratelimit
+ */
+
+const { db } = require('./batch');
+
+/** @constant {number} rateLimitPerMinute - The number of requests each client can make per minute, on average, which is the rate its bucket refills at, or 0 to turn rate limiting off (default: 60) */
+const rateLimitPerMinute = typeof process.env.RATE_LIMIT_PER_MINUTE !== 'undefined' && !isNaN(process.env.RATE_LIMIT_PER_MINUTE) ? Math.max(Number(process.env.RATE_LIMIT_PER_MINUTE), 0) : 60;
+
+/** @constant {number} rateLimitBurst - The number of requests each client can make at once, which is the capacity of its bucket (default: {@link rateLimitPerMinute}) */
+const rateLimitBurst = Number(process.env.RATE_LIMIT_BURST) > 0 ? Math.floor(Number(process.env.RATE_LIMIT_BURST)) : Math.max(Math.ceil(rateLimitPerMinute), 1);
+
+/** @constant {string} rateLimitNamespace - The prefix of every Redis key used for rate limiting */
+const rateLimitNamespace = 'ratelimit';
+
+/** @constant {string} takeTokenScript - A Lua script that refills a client's bucket (KEYS[1]) for the time since it was last updated, at ARGV[2] tokens per second, up to its capacity of ARGV[1] tokens, and then, if it has a token, takes ARGV[4] tokens from it (0 to only check whether it has one), at the time ARGV[3] (in milliseconds since the Unix epoch), returning whether or not a token was taken, and the number of tokens left, as a string, since Redis truncates numbers returned from Lua to integers */
+const takeTokenScript = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1]) or capacity
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) / 1000 * rate)
+local taken = 0
+if tokens >= 1 then
+  tokens = tokens - cost
+  taken = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate * 1000) + 1000)
+return { taken, tostring(tokens) }
+`;
+
+module.exports = {
+  /**
+   *  Returns whether or not rate limiting is turned on, with the RATE_LIMIT_PER_MINUTE environment variable
+   *
+   *  @method rateLimitEnabled
+   *  @returns {boolean} False if RATE_LIMIT_PER_MINUTE is 0, else true
+   */
+
+  rateLimitEnabled: () => rateLimitPerMinute > 0,
+
+  /**
+   *  Takes a token from a client's bucket, if it has one, for a request, or, with a cost of 0, only checks whether it has one
+   *
+   *  @async
+   *  @method takeToken
+   *  @param {string} client - A key identifying the client making the request (e.g. 'key:XXXXXXXXXXXXXXXX' or 'ip:0.0.0.0')
+   *  @param {number} [cost=1] - The number of tokens to take, if the bucket has at least one
+   *  @returns {Promise<Object>} Resolves to whether or not the request is allowed as 'allowed', the capacity of the bucket as 'limit', the number of requests the client can still make at once as 'remaining', the number of seconds until the bucket is full again as 'reset', and, if the request isn't allowed, the number of seconds until it would be as 'retryAfter'
+   */
+
+  takeToken: async (client, cost = 1) => {
+    const rate = rateLimitPerMinute / 60;
+    const [ taken, left ] = await db.eval(takeTokenScript, [ `${rateLimitNamespace}:${client}` ], [ rateLimitBurst, rate, Date.now(), cost ]);
+    const tokens = Number(left);
+
+    return {
+      allowed: Number(taken) === 1,
+      limit: rateLimitBurst,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((rateLimitBurst - tokens) / rate),
+      retryAfter: Number(taken) === 1 ? 0 : Math.ceil((1 - tokens) / rate)
+    };
+  }
+};
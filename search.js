@@ -0,0 +1,503 @@
+/**
+ *  @file In-process full-text search index over the cached ESOVDB catalog, with BM25 relevance ranking, field boosts, phrase search, geology-aware synonyms, and highlighted snippets, and related-video recommendations computed from the same index
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module search
+ */
+
+const crypto = require('crypto');
+const { escapeXML, decodePlusCode } = require('./formats');
+
+/** @constant {number} k1 - BM25 term frequency saturation parameter */
+const k1 = 1.2;
+
+/** @constant {number} b - BM25 document length normalization parameter */
+const b = 0.75;
+
+/** @constant {number} synonymWeight - Weight of a match on a synonym of a search term, relative to a match on the search term itself */
+const synonymWeight = 0.5;
+
+/** @constant {number} snippetLength - The number of words in each highlighted snippet of a video's description */
+const snippetLength = 30;
+/** @constant {Map} relatedWeights - Maps each way two ESOVDB videos can be related to a relative multiplier, which is applied to its component score (from 0 to 1) in the total score of a related video */
+/** @constant {Map} relatedWeights - Maps each way two ESOVDB videos can be related to the weight of its score, from 0 to 1, in the total score of a related video */
+const relatedWeights = new Map([
+  [ 'tags', 3 ],
+  [ 'text', 3 ],
+  [ 'series', 2 ],
+  [ 'presenters', 2 ],
+  [ 'topic', 1 ],
+  [ 'proximity', 1 ]
+]);
+
+/** @constant {number} proximityScale - The distance, in kilometers, at which the proximity score of two videos' locations falls to about a third (1/e) of its maximum */
+const proximityScale = 250;
+
+/** @constant {Map} fieldBoosts - Maps each indexed field of an ESOVDB video to a function that extracts its text from a video formatted with videoFormat.toZoteroJSON, and the weight of matches in that field */
+const fieldBoosts = new Map([
+  [ 'title', { boost: 3, text: (video) => video.title } ],
+  [ 'tags', { boost: 2, text: (video) => (video.tags || []).join(' . ') } ],
+  [ 'series', { boost: 1.5, text: (video) => video.series } ],
+  [ 'presenters', { boost: 1.5, text: (video) => (video.presenters || []).map((p) => `${p.firstName || ''} ${p.lastName || ''}`).join(' . ') } ],
+  [ 'topic', { boost: 1, text: (video) => video.topic } ],
+  [ 'desc', { boost: 1, text: (video) => video.desc } ]
+]);
+
+/** @constant {Set} stopwords - Common English words that are neither indexed nor searched for */
+const stopwords = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/** @constant {Array[]} spellings - Pairs of regular expressions and replacements that normalize British and archaic spellings of geological terms to American spellings (e.g. 'palaeontology' to 'paleontology') */
+const spellings = [
+  [ /palae/g, 'pale' ],
+  [ /sulph/g, 'sulf' ],
+  [ /aluminium/g, 'aluminum' ],
+  [ /caesium/g, 'cesium' ],
+  [ /haemat/g, 'hemat' ],
+  [ /mould/g, 'mold' ],
+  [ /colour/g, 'color' ]
+];
+
+/** @constant {string[][]} synonymGroups - Groups of geological terms that are treated as synonyms of one another when searching, each of which is normalized in the same way as indexed text */
+const synonymGroups = [
+  [ 'earthquake', 'quake', 'temblor', 'seismicity' ],
+  [ 'volcano', 'volcanic', 'volcanism', 'volcanology' ],
+  [ 'magma', 'lava' ],
+  [ 'glacier', 'glacial', 'glaciation', 'glaciology' ],
+  [ 'fossil', 'paleontology', 'fossilization' ],
+  [ 'dinosaur', 'dinosauria' ],
+  [ 'subduction', 'subduct', 'convergent' ],
+  [ 'rift', 'extensional', 'divergent' ],
+  [ 'mineral', 'mineralogy' ],
+  [ 'crystal', 'crystalline', 'crystallography' ],
+  [ 'sediment', 'sedimentary', 'sedimentology' ],
+  [ 'stratigraphy', 'strata', 'stratum' ],
+  [ 'climate', 'climatology', 'paleoclimate' ],
+  [ 'meteorite', 'asteroid', 'bolide', 'impactor' ],
+  [ 'mars', 'martian' ],
+  [ 'moon', 'lunar' ],
+  [ 'ocean', 'oceanic', 'oceanography', 'marine' ],
+  [ 'geochronology', 'radiometric', 'geochronometry' ],
+  [ 'extinction', 'extinct' ],
+  [ 'evolution', 'evolutionary' ],
+  [ 'karst', 'cave', 'speleology' ],
+  [ 'groundwater', 'aquifer', 'hydrogeology' ],
+  [ 'landslide', 'mudslide', 'rockslide', 'rockfall' ],
+  [ 'plume', 'hotspot' ],
+  [ 'magnetism', 'magnetic', 'paleomagnetism', 'geomagnetism' ],
+  [ 'tsunami', 'seiche' ]
+];
+
+/**
+ *  Reduces an English word to its stem with a few light suffix-stripping rules, so that inflected forms of a word match each other (e.g. 'earthquakes' and 'earthquake', or 'subducting' and 'subducted')
+ *
+ *  @function stem
+ *  @param {string} word - A lowercase word
+ *  @returns {string} The stem of {@link word}
+ */
+
+const stem = (word) => {
+  if (word.length < 4 || /\d/.test(word)) return word;
+  let w = word;
+
+  if (/ies$/.test(w)) w = `${w.slice(0, -3)}y`;
+  else if (/(ches|shes|xes|sses|oes)$/.test(w)) w = w.slice(0, -2);
+  else if (/s$/.test(w) && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (/(ing|ed)$/.test(w) && /[aeiouy].*(ing|ed)$/.test(w.slice(1)) && w.replace(/(ing|ed)$/, '').length >= 3) {
+    w = w.replace(/(ing|ed)$/, '');
+    if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  if (/e$/.test(w) && w.length > 3) w = w.slice(0, -1);
+  return w;
+};
+
+/**
+ *  Normalizes a single word for indexing or searching, by lowercasing it, removing diacritics, normalizing its spelling, and stemming it
+ *
+ *  @function normalize
+ *  @requires stem
+ *  @param {string} word - A word, as it appears in a video's text or a search query
+ *  @returns {?string} The normalized term, or null if {@link word} is a stopword or too short to index
+ */
+
+const normalize = (word) => {
+  let w = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  if (stopwords.has(w) || (w.length < 2 && !/\d/.test(w))) return null;
+  for (const [ pattern, replacement ] of spellings) w = w.replace(pattern, replacement);
+  return stem(w);
+};
+
+/** @constant {RegExp} regexWord - Regular expression for matching each word in a string of text */
+const regexWord = /[\p{L}\p{N}]+/gu;
+
+/**
+ *  Splits text into a list of normalized terms, skipping stopwords, so that each term's index in the list is its position, for phrase search
+ *
+ *  @function tokenize
+ *  @requires normalize
+ *  @param {string} text - Any text
+ *  @returns {string[]} The normalized terms in {@link text}, in order
+ */
+
+const tokenize = (text) => (String(text || '').match(regexWord) || []).map(normalize).filter(Boolean);
+
+/** @constant {Map} synonyms - Maps each normalized term in {@link synonymGroups} to the other normalized terms in its group */
+const synonyms = synonymGroups.reduce((map, group) => {
+  const terms = [ ...new Set(group.map(normalize).filter(Boolean)) ];
+  terms.forEach((term) => map.set(term, [ ...new Set([ ...(map.get(term) || []), ...terms.filter((t) => t !== term) ]) ]));
+  return map;
+}, new Map());
+
+/** @type {?Object} index - The current search index, built by {@link indexVideos} */
+let index = null;
+
+/**
+ *  Tests whether a phrase appears, as consecutive terms, within any single indexed field of a video
+ *
+ *  @function hasPhrase
+ *  @param {number} doc - The index of a video in the search index
+ *  @param {string[]} phrase - The normalized terms of the phrase, in order
+ *  @returns {boolean} Whether or not the video contains {@link phrase}
+ */
+
+const hasPhrase = (doc, phrase) => {
+  const postings = phrase.map((term) => (index.postings.get(term) || new Map()).get(doc));
+  if (postings.some((posting) => !posting)) return false;
+
+  return [ ...fieldBoosts.keys() ].some((field) =>
+    (postings[0][field] || []).some((start) => postings.every((posting, i) => (posting[field] || []).includes(start + i))));
+};
+
+/**
+ *  Wraps every word of a string of text whose normalized form is one of a set of terms in a <mark> element, escaping the rest of the text as HTML
+ *
+ *  @function highlight
+ *  @requires normalize
+ *  @param {string} text - The text to highlight
+ *  @param {Set} terms - The normalized terms to highlight
+ *  @returns {string} The highlighted text, as HTML
+ */
+
+const highlight = (text, terms) => {
+  let html = '', last = 0;
+
+  for (const match of String(text || '').matchAll(regexWord)) {
+    if (!terms.has(normalize(match[0]))) continue;
+    html += `${escapeXML(text.slice(last, match.index))}<mark>${escapeXML(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeXML(String(text || '').slice(last));
+};
+
+/**
+ *  Builds a highlighted snippet of a video's description, from the window of {@link snippetLength} words with the most matches
+ *
+ *  @function snippet
+ *  @requires highlight
+ *  @requires normalize
+ *  @param {string} text - The text to build a snippet from
+ *  @param {Set} terms - The normalized terms to highlight
+ *  @returns {string} The highlighted snippet, as HTML, with an ellipsis wherever text was cut off
+ */
+
+const snippet = (text, terms) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  if (words.length <= snippetLength) return highlight(words.join(' '), terms);
+
+  const hits = words.map((word) => (word.match(regexWord) || []).some((w) => terms.has(normalize(w))) ? 1 : 0);
+  let best = 0, count = hits.slice(0, snippetLength).reduce((sum, hit) => sum + hit, 0), max = count;
+
+  for (let i = 1; i + snippetLength <= words.length; i++) {
+    count += hits[i + snippetLength - 1] - hits[i - 1];
+    if (count > max) max = count, best = i;
+  }
+
+  return `${best > 0 ? '… ' : ''}${highlight(words.slice(best, best + snippetLength).join(' '), terms)}${best + snippetLength < words.length ? ' …' : ''}`;
+};
+
+/**
+ *  Trims and lowercases a list of values (e.g. a video's tags), for comparing them between videos
+ *
+ *  @function normalizedList
+ *  @param {Array} [values=[]] - A list of values
+ *  @returns {string[]} The non-empty values, trimmed and lowercased
+ */
+
+const normalizedList = (values = []) => (values || []).map((value) => String(value).trim().toLowerCase()).filter(Boolean);
+
+/**
+ *  Lists the full names of a video's presenters, for comparing them between videos
+ *
+ *  @function presenterNames
+ *  @requires normalizedList
+ *  @param {Object} video - An ESOVDB video, formatted with videoFormat.toZoteroJSON
+ *  @returns {string[]} The lowercased full names of the video's presenters
+ */
+
+const presenterNames = (video) => normalizedList((video.presenters || []).map((p) => [ p.firstName, p.lastName ].filter(Boolean).join(' ')));
+
+/**
+ *  Calculates the TF-IDF weight of a term in a video's description, for comparing the descriptions of videos with cosine similarity
+ *
+ *  @function textWeight
+ *  @param {number} tf - The number of times the term appears in the description
+ *  @param {number} df - The number of videos the term appears in, in any field
+ *  @param {number} total - The total number of videos in the index
+ *  @returns {number} The weight of the term in the description
+ */
+
+const textWeight = (tf, df, total) => (1 + Math.log(tf)) * Math.log(1 + total / df);
+
+/**
+ *  Calculates the great-circle distance between two points on Earth, with the haversine formula
+ *
+ *  @function distance
+ *  @param {{ lat: number, lng: number }} from - The latitude and longitude of the first point
+ *  @param {{ lat: number, lng: number }} to - The latitude and longitude of the second point
+ *  @returns {number} The distance between {@link from} and {@link to}, in kilometers
+ */
+
+const distance = (from, to) => {
+  const rad = (degrees) => degrees * Math.PI / 180;
+  const h = Math.pow(Math.sin(rad(to.lat - from.lat) / 2), 2) + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.pow(Math.sin(rad(to.lng - from.lng) / 2), 2);
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ *  Calculates the cosine similarity of the description of one video to the descriptions of every other video in the index, using the index's postings, so that only videos sharing at least one term are visited
+ *
+ *  @function textSimilarities
+ *  @requires textWeight
+ *  @param {number} target - The index of a video in the search index
+ *  @returns {Map} Maps the index of each other video with a similar description to its cosine similarity, from 0 to 1
+ */
+
+const textSimilarities = (target) => {
+  const dots = new Map();
+  if (!index.textNorms[target]) return dots;
+
+  for (const term of new Set(tokenize(index.docs[target].desc))) {
+    const docs = index.postings.get(term);
+    const own = docs && docs.get(target);
+    if (!own || !own.desc) continue;
+    const weight = textWeight(own.desc.length, docs.size, index.docs.length);
+
+    for (const [ doc, posting ] of docs) {
+      if (doc !== target && posting.desc) dots.set(doc, (dots.get(doc) || 0) + weight * textWeight(posting.desc.length, docs.size, index.docs.length));
+    }
+  }
+
+  for (const [ doc, dot ] of dots) dots.set(doc, dot / (index.textNorms[target] * index.textNorms[doc]));
+  return dots;
+};
+
+module.exports = {
+  /**
+   *  Builds the search index from all videos in the ESOVDB, replacing the current index, unless the videos haven't changed since it was last built
+   *
+   *  @method indexVideos
+   *  @requires tokenize
+   *  @param {Object[]} videos - All ESOVDB videos, formatted with videoFormat.toZoteroJSON, as cached by esovdb.updateLatest
+   *  @sideEffects Replaces the module's search index
+   *  @returns {number} The number of videos in the index
+   */
+
+  indexVideos: (videos) => {
+    const signature = crypto.createHash('sha1').update(videos.map((video) => `${video.recordId}:${video.modified}`).join('\n')).digest('hex');
+
+    if (index && index.signature === signature) {
+      index.refreshed = Date.now();
+      return index.docs.length;
+    }
+
+    const postings = new Map();
+    const lengths = new Map([ ...fieldBoosts.keys() ].map((field) => [ field, [] ]));
+
+    videos.forEach((video, doc) => {
+      for (const [ field, { text } ] of fieldBoosts) {
+        const terms = tokenize(text(video));
+        lengths.get(field)[doc] = terms.length;
+
+        terms.forEach((term, position) => {
+          if (!postings.has(term)) postings.set(term, new Map());
+          if (!postings.get(term).has(doc)) postings.get(term).set(doc, {});
+          const posting = postings.get(term).get(doc);
+          (posting[field] = posting[field] || []).push(position);
+        });
+      }
+    });
+
+    const averages = new Map([ ...lengths ].map(([ field, l ]) => [ field, l.reduce((sum, n) => sum + n, 0) / (l.length || 1) || 1 ]));
+    const textNorms = videos.map(() => 0);
+    const tagCounts = new Map();
+
+    for (const [ term, docs ] of postings) for (const [ doc, posting ] of docs) {
+      if (posting.desc) textNorms[doc] += Math.pow(textWeight(posting.desc.length, docs.size, videos.length), 2);
+    }
+
+    videos.forEach((video) => new Set(normalizedList(video.tags)).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+    index = {
+      signature,
+      docs: videos,
+      postings,
+      lengths,
+      averages,
+      textNorms: textNorms.map(Math.sqrt),
+      tagCounts,
+      coordinates: videos.map((video) => decodePlusCode(video.plusCode)),
+      refreshed: Date.now()
+    };
+    console.log(`› Built search index of ${videos.length} videos and ${postings.size} terms.`);
+    return videos.length;
+  },
+
+  /**
+   *  Returns the time the search index was last built or confirmed to be up to date
+   *
+   *  @method indexRefreshed
+   *  @returns {?number} The time the index was last refreshed, in milliseconds since the Unix epoch, or null if it hasn't been built yet
+   */
+
+  indexRefreshed: () => index ? index.refreshed : null,
+
+  /**
+   *  Searches the index for videos matching a query of words and quoted phrases, ranked by BM25 relevance, summed across fields with {@link fieldBoosts}; every quoted phrase must match, and at least one word or synonym must match
+   *
+   *  @method searchVideos
+   *  @requires tokenize
+   *  @requires hasPhrase
+   *  @requires highlight
+   *  @requires snippet
+   *  @param {string} query - The search query (e.g. 'subduction zone earthquakes' or '"mid-ocean ridge" basalt')
+   *  @param {Object} [options={}] - Search options
+   *  @param {Function} [options.filter] - A function that is passed each matching video, and returns whether or not to include it in the results
+   *  @param {number} [options.limit=20] - The maximum number of results to return
+   *  @param {number} [options.offset=0] - The number of results to skip, for paging through results
+   *  @returns {Object} The total number of matching videos as 'total', and a page of results as 'results', each with its 'score', the 'video' itself, and its 'highlights', as HTML (i.e. 'title' and a 'snippet' of its description)
+   *  @throws Will throw an error with a 400 status and the code 'INVALID_SEARCH_QUERY' if {@link query} has no searchable words (e.g. only stopwords)
+   */
+
+  searchVideos: (query, { filter = () => true, limit = 20, offset = 0 } = {}) => {
+    const phrases = [ ...query.matchAll(/"([^"]*)"/g) ].map((match) => tokenize(match[1])).filter((phrase) => phrase.length > 0);
+    const terms = [ ...new Set([ ...tokenize(query.replace(/"[^"]*"/g, ' ')), ...phrases.flat() ]) ];
+
+    if (terms.length === 0) {
+      const err = new Error(`"q" must contain at least one searchable word.`);
+      err.status = 400;
+      err.code = 'INVALID_SEARCH_QUERY';
+      throw err;
+    }
+
+    if (!index) return { total: 0, results: [] };
+    const weights = new Map(terms.map((term) => [ term, 1 ]));
+
+    terms.forEach((term) => (synonyms.get(term) || []).forEach((synonym) => {
+      if (!weights.has(synonym)) weights.set(synonym, synonymWeight);
+    }));
+
+    const scores = new Map();
+    const total = index.docs.length;
+
+    for (const [ term, weight ] of weights) {
+      const postings = index.postings.get(term);
+      if (!postings) continue;
+      const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+
+      for (const [ doc, posting ] of postings) {
+        let score = 0;
+
+        for (const [ field, { boost } ] of fieldBoosts) {
+          const tf = (posting[field] || []).length;
+          if (tf === 0) continue;
+          score += boost * tf * (k1 + 1) / (tf + k1 * (1 - b + b * index.lengths.get(field)[doc] / index.averages.get(field)));
+        }
+
+        scores.set(doc, (scores.get(doc) || 0) + weight * idf * score);
+      }
+    }
+
+    const matches = [ ...scores ]
+      .filter(([ doc ]) => phrases.every((phrase) => hasPhrase(doc, phrase)) && filter(index.docs[doc]))
+      .sort((x, y) => y[1] - x[1] || String(index.docs[x[0]].title).localeCompare(String(index.docs[y[0]].title)));
+
+    const highlighted = new Set(weights.keys());
+
+    return {
+      total: matches.length,
+      results: matches.slice(offset, offset + limit).map(([ doc, score ]) => ({
+        score: Math.round(score * 1000) / 1000,
+        video: index.docs[doc],
+        highlights: {
+          title: highlight(index.docs[doc].title, highlighted),
+          snippet: snippet(index.docs[doc].desc, highlighted)
+        }
+      }))
+    };
+  },
+
+  /**
+   *  Ranks the other videos in the index by how related they are to a given video, summing scores from 0 to 1 for shared tags (with rarer tags counting more), description similarity, series, presenters, topic, and proximity of their Plus Codes, weighted by {@link relatedWeights}
+   *
+   *  @method relatedVideos
+   *  @requires textSimilarities
+   *  @requires distance
+   *  @param {string} recordId - The Airtable record ID of a video in the index
+   *  @param {Object} [options={}] - Options for ranking related videos
+   *  @param {Function} [options.filter] - A function that is passed each related video, and returns whether or not to include it in the results
+   *  @param {number} [options.limit=10] - The maximum number of related videos to return
+   *  @returns {?Object[]} The most related videos, most related first, each with its 'score', the 'video' itself, and what it has in common with the given video as 'shared' (i.e. its shared 'tags', 'presenters', whether it has the same 'series' and 'topic', its 'distance' in kilometers, if both videos have a location, and the 'text' similarity of their descriptions), or null if the given video isn't in the index
+   */
+
+  relatedVideos: (recordId, { filter = () => true, limit = 10 } = {}) => {
+    const target = index ? index.docs.findIndex((video) => video.recordId === recordId) : -1;
+    if (target === -1) return null;
+
+    const video = index.docs[target];
+    const tags = [ ...new Set(normalizedList(video.tags)) ];
+    const presenters = [ ...new Set(presenterNames(video)) ];
+    const tagWeight = (tag) => Math.log(1 + index.docs.length / (index.tagCounts.get(tag) || 1));
+    const totalTagWeight = tags.reduce((sum, tag) => sum + tagWeight(tag), 0);
+    const texts = textSimilarities(target);
+    const related = [];
+
+    index.docs.forEach((other, doc) => {
+      if (doc === target) return;
+
+      const otherTags = normalizedList(other.tags);
+      const otherPresenters = presenterNames(other);
+      const from = index.coordinates[target], to = index.coordinates[doc];
+
+      const shared = {
+        tags: (other.tags || []).filter((tag) => tags.includes(String(tag).trim().toLowerCase())),
+        presenters: (other.presenters || []).filter((p, i) => presenters.includes(otherPresenters[i])),
+        series: Boolean(video.series) && String(other.series || '').toLowerCase() === String(video.series).toLowerCase(),
+        topic: Boolean(video.topic) && other.topic === video.topic,
+        distance: from && to ? Math.round(distance(from, to)) : null,
+        text: Math.round((texts.get(doc) || 0) * 1000) / 1000
+      };
+
+      const scores = new Map([
+        [ 'tags', totalTagWeight ? tags.filter((tag) => otherTags.includes(tag)).reduce((sum, tag) => sum + tagWeight(tag), 0) / totalTagWeight : 0 ],
+        [ 'text', texts.get(doc) || 0 ],
+        [ 'series', shared.series ? 1 : 0 ],
+        [ 'presenters', presenters.length ? presenters.filter((name) => otherPresenters.includes(name)).length / presenters.length : 0 ],
+        [ 'topic', shared.topic ? 1 : 0 ],
+        [ 'proximity', from && to ? Math.exp(-distance(from, to) / proximityScale) : 0 ]
+      ]);
+
+      const score = [ ...scores ].reduce((sum, [ name, value ]) => sum + relatedWeights.get(name) * value, 0);
+      if (score > 0 && filter(other)) related.push({ doc, score, shared });
+    });
+
+    return related
+      .sort((x, y) => y.score - x.score || String(index.docs[x.doc].title).localeCompare(String(index.docs[y.doc].title)))
+      .slice(0, limit)
+      .map(({ doc, score, shared }) => ({ score: Math.round(score * 1000) / 1000, video: index.docs[doc], shared }));
+  }
+};
@@ -9,8 +9,13 @@ const express = require('express');
 const cleanUp = require('node-cleanup');
 const cors = require('cors');
 const { db, monitor } = require('./batch');
-const { appReady, patternsToRegEx } = require('./util');
+const { appReady, patternsToMatcher, secretsMatch } = require('./util');
+const cache = require('./cache');
 const esovdb = require('./esovdb');
+const keys = require('./keys');
+const plans = require('./plans');
+const ratelimit = require('./ratelimit');
+const signing = require('./signing');
 const webhooks = require('./webhooks');
 const youtube = require('./youtube');
 const zotero = require('./zotero');
@@ -18,65 +23,314 @@ const zotero = require('./zotero');
 const app = express();
 const port = Number(process.env.PORT || 3000);
 
+/** @constant {Function} ipBlacklist - Matches IP addresses denied access to every endpoint, set by the IP_BLACKLIST environment variable */
+const ipBlacklist = patternsToMatcher(process.env.IP_BLACKLIST);
+
+/** @constant {Map} ipPolicies - Maps the name of each IP access policy that can be passed to {@link middleware.validateReq} to the IP patterns it allows, where a policy without any patterns allows every IP address that isn't in IP_BLACKLIST, and the 'zotero' and 'watchlist' policies fall back to the patterns of the 'private' policy */
+const ipPolicies = new Map([
+  [ 'public', '' ],
+  [ 'private', process.env.IP_WHITELIST || '' ],
+  [ 'zotero', process.env.IP_WHITELIST_ZOTERO || process.env.IP_WHITELIST || '' ],
+  [ 'watchlist', process.env.IP_WHITELIST_WATCHLIST || process.env.IP_WHITELIST || '' ]
+]);
+
+/** @constant {Map} ipWhitelists - Maps the name of each IP access policy in {@link ipPolicies} to a function that matches the IP addresses it allows, or to null if it allows every IP address */
+const ipWhitelists = new Map([ ...ipPolicies ].map(([ policy, patterns ]) => [ policy, patterns.trim() ? patternsToMatcher(patterns) : null ]));
+
+/**
+ *  Keeps the raw body of a request as req.rawBody, when it is parsed by express.json() or express.urlencoded(), so that the signature of a signed request can be verified against the exact bytes that were signed
+ *
+ *  @function keepRawBody
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {Buffer} buf - The raw body of the request
+ */
+
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ *  Counts a failed authentication attempt against the rate limit bucket of the client's IP address, which {@link middleware.auth} checks before verifying any credentials, so that API keys and secrets can't be guessed any faster than the IP address is rate limited
+ *
+ *  @async
+ *  @function countFailedAuth
+ *  @requires ratelimit.takeToken
+ *  @param {string} ip - The IP address of the client
+ */
+
+const countFailedAuth = async (ip) => {
+  if (!ratelimit.rateLimitEnabled()) return;
+
+  try {
+    await ratelimit.takeToken(`ip:${ip}`);
+  } catch (err) {
+    console.error(`[ERROR] Unable to rate limit ip:${ip}. ${err.message}`);
+  }
+};
+
+/**
+ *  Creates a handler for a rejected endpoint, which logs the error and, unless the endpoint has already started its response, sends it to the client with a 500 status, so that an unexpected error in an async endpoint never goes unhandled, which would stop node
+ *
+ *  @function sendRejection
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @returns {Function} A function that handles the error an endpoint was rejected with
+ */
+
+const sendRejection = (res) => (err) => {
+  console.error(`[ERROR] Unhandled error in endpoint. ${err && err.message}`, err);
+  if (res.headersSent) return res.end();
+  res.status(500).send(JSON.stringify({ error: { code: 'INTERNAL_SERVER_ERROR', message: 'Unexpected error.  Try again later.' } }));
+};
+
 const middleware = {
   
   /**
-   *  Middleware for blacklisting or whitelisting IP addresses and/or IP address ranges, which can be passed to specific endpoints
+   *  Creates middleware that denies access to IP addresses in IP_BLACKLIST, and, unless a policy allows every IP address, to IP addresses it doesn't allow, where the client's IP address is read from the X-Forwarded-For header only as far back as it was set by trusted proxies (see TRUSTED_PROXIES)
    *
    *  @method validateReq
-   *  @requires util.patternsToRegEx
-   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
-   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
-   *  @param {!express:NextFunction} next - The next middleware function in the stack
+   *  @requires util.patternsToMatcher
+   *  @param {('public'|'private'|'zotero'|'watchlist')} policy - The name of the IP access policy of the endpoint, one of {@link ipPolicies}
+   *  @returns {Function} Express.js middleware that enforces {@link policy}
+   *  @throws Will throw an error if {@link policy} is unknown, when the endpoint is defined
    */
   
-  validateReq: (req, res, next) => {
-    const d = new Date(), ip = (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
-
-    if (patternsToRegEx(process.env.IP_BLACKLIST).test(ip)) {
-      const err = {
-        Error: 'Access denied.',
-      };
-
-      console.error(`[${d.toLocaleString()}] (${ip})\n${err.Error}`);
-      res.status(401).send(JSON.stringify(err));
-    } else {
-      console.log(`[${d.toLocaleString()}] (${ip})\nAccess granted.`);
-      next();
-    }
+  validateReq: (policy) => {
+    if (!ipPolicies.has(policy)) throw new Error(`Unknown IP access policy "${policy}". Valid policies are: ${[ ...ipPolicies.keys() ].map((p) => `"${p}"`).join(', ')}.`);
+    const whitelist = ipWhitelists.get(policy);
+
+    return (req, res, next) => {
+      const d = new Date(), ip = req.ip;
+
+      if (ipBlacklist(ip) || (whitelist !== null && !whitelist(ip))) {
+        const err = {
+          Error: 'Access denied.',
+        };
+
+        console.error(`[${d.toLocaleString()}] (${ip})\n${err.Error} (${policy} policy)`);
+        res.status(401).send(JSON.stringify(err));
+      } else {
+        console.log(`[${d.toLocaleString()}] (${ip})\nAccess granted.`);
+        next();
+      }
+    };
   },
   
-  auth: (req, res, next) => {
-    if (req.headers['x-esovdb-key'] && req.headers['x-esovdb-key'] === process.env.ESOVDB_KEY) {
-      console.log('ESOVDB key validated.');
-      next();
-    } else if (req.headers['esovdb-key'] && req.headers['esovdb-key'] === process.env.ESOVDB_KEY) {
-      console.log('ESOVDB key validated (using deprecated header—update this client!');
-      next();
-    } else if (req.headers['X-RapidAPI-Proxy-Secret'] && req.headers['X-RapidAPI-Proxy-Secret'] === process.env.RAPIDAPI_SECRET) {
+  /**
+   *  Creates middleware that authenticates a request with a signature from an integration, which only has that integration's scopes, ESOVDB_KEY, which has every scope, the RapidAPI proxy secret, which can only read, or an API key from the key registry, and checks that it has the scope an endpoint needs, and that an API key hasn't used up its daily quota, where each failed attempt counts against the rate limit of the client's IP address, and a client whose IP address is out of requests is rate limited before any of its credentials are verified
+   *
+   *  @method auth
+   *  @requires signing.verifySignature
+   *  @requires keys.verifyKey
+   *  @param {string} scope - The scope the endpoint needs (e.g. 'read:videos'), one of {@link keys.scopes} or {@link keys.adminScope}
+   *  @returns {Function} Express.js middleware, which sets the authenticated key's ID, label, and scopes as req.apiKey
+   */
+
+  auth: (scope) => async (req, res, next) => {
+    const d = new Date(), ip = req.ip;
+    const key = req.headers['x-esovdb-key'] || req.headers['esovdb-key'];
+    let apiKey = null;
+
+    if (ratelimit.rateLimitEnabled()) {
+      try {
+        const bucket = await ratelimit.takeToken(`ip:${ip}`, 0);
+
+        if (!bucket.allowed) {
+          console.error(`[${d.toLocaleString()}] (${ip}) Rate limited ip:${ip} on ${req.path}, before authentication.`);
+          res.set('Retry-After', bucket.retryAfter);
+          return res.status(429).send(JSON.stringify({ error: { code: 'RATE_LIMITED', message: `Too many requests.  Try again in ${bucket.retryAfter} second${bucket.retryAfter === 1 ? '' : 's'}.` } }));
+        }
+      } catch (err) {
+        console.error(`[ERROR] Unable to rate limit ip:${ip}. ${err.message}`);
+      }
+    }
+
+    if (signing.isSigned(req)) {
+      try {
+        apiKey = { ...await signing.verifySignature(req), quota: null };
+        console.log(`Signed request from the "${apiKey.label}" integration validated.`);
+      } catch (err) {
+        console.error(`[${d.toLocaleString()}] (${ip}) Rejected signed request to ${req.path}. ${err.message}`);
+        if (err.code) {
+          await countFailedAuth(ip);
+          return res.status(err.status || 401).send(JSON.stringify({ error: { code: err.code, message: err.message } }));
+        }
+
+        return res.status(503).send(JSON.stringify({ error: { code: 'NONCE_STORE_UNAVAILABLE', message: 'Unable to verify signed request.  Try again later.' } }));
+      }
+    } else if (key && secretsMatch(key, process.env.ESOVDB_KEY)) {
+      console.log(req.headers['x-esovdb-key'] ? 'ESOVDB key validated.' : 'ESOVDB key validated (using deprecated header—update this client!');
+      apiKey = { id: 'root', label: 'ESOVDB_KEY', scopes: [ ...keys.scopes.keys(), keys.adminScope ], quota: null };
+    } else if (req.headers['x-rapidapi-proxy-secret'] && secretsMatch(req.headers['x-rapidapi-proxy-secret'], process.env.RAPIDAPI_SECRET)) {
       console.log('RapidAPI proxy secret validated.');
-      next();
-    } else {
-      const d = new Date(), ip = (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
+      apiKey = { id: 'rapidapi', label: 'RapidAPI', scopes: [ 'read:videos' ], quota: null };
+    } else if (key) {
+      try {
+        apiKey = await keys.verifyKey(key);
+        if (apiKey) console.log(`API key "${apiKey.label}" (${apiKey.id}) validated.`);
+      } catch (err) {
+        console.error(`[ERROR] Unable to verify API key. ${err.message}`);
+        return res.status(503).send(JSON.stringify({ error: { code: 'KEY_REGISTRY_UNAVAILABLE', message: 'Unable to verify API key.  Try again later.' } }));
+      }
+    }
+
+    if (!apiKey) {
       console.error(`[${d.toLocaleString()}] (${ip}) Unauthorized attempted access of ${req.path} without a valid ESOVDB key.`);
-      res.status(401).send('Unauthorized access. Visit https://rapidapi.com/the-earth-science-online-video-database-the-earth-science-online-video-database-default/api/the-earth-science-online-video-database for access.');
+      await countFailedAuth(ip);
+      return res.status(401).send('Unauthorized access. Visit https://rapidapi.com/the-earth-science-online-video-database-the-earth-science-online-video-database-default/api/the-earth-science-online-video-database for access.');
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      console.error(`[${d.toLocaleString()}] (${ip}) API key "${apiKey.label}" (${apiKey.id}) attempted access of ${req.path} without the "${scope}" scope.`);
+      return res.status(403).send(JSON.stringify({ error: { code: 'INSUFFICIENT_SCOPE', message: `This API key does not have the "${scope}" scope needed for this endpoint.` } }));
     }
+
+    if (apiKey.quota) {
+      try {
+        const used = await keys.countUsage(apiKey.id);
+
+        if (used > apiKey.quota) {
+          console.error(`[${d.toLocaleString()}] (${ip}) API key "${apiKey.label}" (${apiKey.id}) exceeded its daily quota of ${apiKey.quota} requests.`);
+          return res.status(429).send(JSON.stringify({ error: { code: 'QUOTA_EXCEEDED', message: `This API key has used its quota of ${apiKey.quota} requests for today (UTC).` } }));
+        }
+      } catch (err) {
+        console.error(`[ERROR] Unable to count API key usage. ${err.message}`);
+      }
+    }
+
+    req.apiKey = { id: apiKey.id, label: apiKey.label, scopes: apiKey.scopes };
+    next();
   },
   
+  /**
+   *  Middleware for public endpoints, which limits the rate of requests from each client with a token bucket shared by every instance, where clients are identified by their API key, their RapidAPI user, or, for requests without a key, their IP address, and sends the RateLimit-Limit, RateLimit-Remaining, and RateLimit-Reset headers with every response, and a 429 status with a Retry-After header once a client is out of tokens
+   *
+   *  @method rateLimit
+   *  @requires ratelimit.takeToken
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @param {!express:NextFunction} next - The next middleware function in the stack
+   */
+
+  rateLimit: async (req, res, next) => {
+    if (!ratelimit.rateLimitEnabled()) return next();
+    const d = new Date(), ip = req.ip;
+    let client = `ip:${ip}`;
+
+    if (req.apiKey && req.apiKey.id === 'rapidapi') client = `rapidapi:${req.headers['x-rapidapi-user'] || ip}`;
+    else if (req.apiKey) client = `key:${req.apiKey.id}`;
+
+    let bucket;
+
+    try {
+      bucket = await ratelimit.takeToken(client);
+    } catch (err) {
+      console.error(`[ERROR] Unable to rate limit ${client}. ${err.message}`);
+      return next();
+    }
+
+    res.set({ 'RateLimit-Limit': bucket.limit, 'RateLimit-Remaining': bucket.remaining, 'RateLimit-Reset': bucket.reset });
+
+    if (!bucket.allowed) {
+      console.error(`[${d.toLocaleString()}] (${ip}) Rate limited ${client} on ${req.path}.`);
+      res.set('Retry-After', bucket.retryAfter);
+      return res.status(429).send(JSON.stringify({ error: { code: 'RATE_LIMITED', message: `Too many requests.  Try again in ${bucket.retryAfter} second${bucket.retryAfter === 1 ? '' : 's'}.` } }));
+    }
+
+    next();
+  },
+
+  /**
+   *  Creates middleware for public endpoints, which sets the plan of an authenticated request as req.plan, denies output formats its plan doesn't include, and, if its plan limits the number of records per request, denies the full catalog, and rewrites the request's page size, and the total number of records of requests that would otherwise crawl every page, to fit, so that responses are cached under the limits they were actually retrieved with
+   *
+   *  @method plan
+   *  @requires plans.planFor
+   *  @param {Object} [options={}] - What the endpoint sends
+   *  @param {string} [options.pageSize] - The URL query param an endpoint reads its page size from (e.g. 'pageSize' or 'limit'), if it sends records a page at a time
+   *  @param {string} [options.maxRecords] - The URL query param an endpoint reads its total number of records from (e.g. 'maxRecords'), if, without a page number or a cursor, it sends every page at once
+   *  @param {boolean} [options.catalog=false] - Whether or not the endpoint sends every record in a table at once
+   *  @returns {Function} Express.js middleware that enforces the plan of each request
+   */
+
+  plan: ({ pageSize: pageSizeParam, maxRecords: maxRecordsParam, catalog = false } = {}) => (req, res, next) => {
+    const d = new Date(), ip = req.ip;
+    const plan = plans.planFor(req);
+    const format = req.query.format || (/application\/x-ndjson/i.test(req.headers.accept || '') ? 'ndjson' : null);
+    const capped = plan.maxPageSize < plans.maxPageSize;
+    const limits = new Map();
+
+    if (format && plan.excludedFormats.includes(format)) {
+      console.error(`[${d.toLocaleString()}] (${ip}) ${plan.name} plan attempted to request the "${format}" format on ${req.path}.`);
+      return res.status(403).send(JSON.stringify({ error: { code: 'FORMAT_NOT_IN_PLAN', message: `The "${format}" format isn't included in the ${plan.name} plan.` } }));
+    }
+
+    if (catalog && capped) {
+      console.error(`[${d.toLocaleString()}] (${ip}) ${plan.name} plan attempted to request the full catalog on ${req.path}.`);
+      return res.status(403).send(JSON.stringify({ error: { code: 'CATALOG_NOT_IN_PLAN', message: `The full catalog isn't included in the ${plan.name} plan.  Query it a page of up to ${plan.maxPageSize} records at a time instead.` } }));
+    }
+
+    if (capped && pageSizeParam) limits.set(pageSizeParam, req.query[pageSizeParam]);
+    if (capped && maxRecordsParam && !req.params.pg && typeof req.query.cursor === 'undefined') limits.set(maxRecordsParam, req.query[maxRecordsParam]);
+
+    for (const [ param, value ] of limits) {
+      if (!value || isNaN(value) || +value <= 0 || +value > plan.maxPageSize) {
+        const url = new URL(req.url, 'http://localhost');
+        url.searchParams.set(param, plan.maxPageSize);
+        req.url = `${url.pathname}${url.search}`;
+        req.query[param] = String(plan.maxPageSize);
+      }
+    }
+
+    req.plan = plan;
+    next();
+  },
+
   allowCORS: (req, res, next) => {
     res.set('Access-Control-Allow-Origin', '*');
+    next();
+  },
+  
+  /**
+   *  Middleware for read endpoints, which sets the Vary header to 'Accept' whenever a response's format can depend on its 'Accept' header, and the Cache-Control header of successful responses, so that clients reuse them for as long as the server reuses its own cached responses, and then revalidate them with their ETag or Last-Modified headers, while responses to requests with the premium header 'esovdb-no-cache', on plans that allow it, are always revalidated, and responses to requests with an API key are only stored by the client
+   *
+   *  @method cacheControl
+   *  @requires cache.getCacheInterval
+   *  @requires esovdb.negotiatesFormat
+   *  @requires plans.bypassesCache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @param {!express:NextFunction} next - The next middleware function in the stack
+   */
+  
+  cacheControl: (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    const send = res.send;
+    const authorized = req.headers['x-esovdb-key'] || req.headers['esovdb-key'] || req.headers['x-rapidapi-proxy-secret'];
+    if (esovdb.negotiatesFormat(req)) res.vary('Accept');
+    
+    res.send = function (body) {
+      if (this.statusCode >= 200 && this.statusCode < 300 && !this.get('Cache-Control'))
+        this.set('Cache-Control', plans.bypassesCache(req) ? 'no-cache' : `${authorized ? 'private' : 'public'}, max-age=${cache.getCacheInterval()}`);
+      
+      return send.call(this, body);
+    };
+    
     next();
   }
 }
 
+app.set('etag', 'strong');
+app.set('trust proxy', (process.env.TRUSTED_PROXIES || 'loopback linklocal uniquelocal').split(/[\s,]+/).filter(Boolean));
+app.use('/v1', middleware.cacheControl);
+
 /**
  *  API endpoint for querying the entire ESOVDB—returns JSON. Used with the premium header 'esovdb-no-cache', always returns fresh results.
  *  @requires esovdb
  *  @callback esovdb.getLatest
  */
 
-app.get('/v1/videos', [ middleware.auth, middleware.validateReq ], (req, res) => {
-  esovdb.getLatest(req, res);
+app.get('/v1/videos', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ catalog: true }) ], (req, res) => {
+  Promise.resolve(esovdb.getLatest(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -85,8 +339,8 @@ app.get('/v1/videos', [ middleware.auth, middleware.validateReq ], (req, res) =>
  *  @callback esovdb.queryVideos
  */
 
-app.get('/v1/videos/query/:pg?', [ middleware.auth, middleware.validateReq ], (req, res) => {
-  esovdb.queryVideos(req, res);
+app.get('/v1/videos/query/:pg?', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ pageSize: 'pageSize', maxRecords: 'maxRecords' }) ], (req, res) => {
+  Promise.resolve(esovdb.queryVideos(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -95,8 +349,8 @@ app.get('/v1/videos/query/:pg?', [ middleware.auth, middleware.validateReq ], (r
  *  @callback esovdb.queryYouTubeVideos
  */
 
-app.get('/v1/videos/youtube/:id?', [ middleware.validateReq, middleware.allowCORS ], (req, res) => {
-  esovdb.queryYouTubeVideos(req, res);
+app.get('/v1/videos/youtube/:id?', [ middleware.validateReq('public'), middleware.allowCORS, middleware.rateLimit ], (req, res) => {
+  Promise.resolve(esovdb.queryYouTubeVideos(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -105,8 +359,8 @@ app.get('/v1/videos/youtube/:id?', [ middleware.validateReq, middleware.allowCOR
  *  @callback esovdb.queryYouTubeVideosAndSubmissions
  */
 
-app.get('/v1/videos-submissions/youtube/:id?', [ middleware.validateReq, middleware.allowCORS ], (req, res) => {
-  esovdb.queryYouTubeVideosAndSubmissions(req, res);
+app.get('/v1/videos-submissions/youtube/:id?', [ middleware.validateReq('public'), middleware.allowCORS, middleware.rateLimit ], (req, res) => {
+  Promise.resolve(esovdb.queryYouTubeVideosAndSubmissions(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -115,8 +369,48 @@ app.get('/v1/videos-submissions/youtube/:id?', [ middleware.validateReq, middlew
  *  @callback esovdb.getVideoById
  */
 
-app.get('/v1/videos/:id', [ middleware.auth, middleware.validateReq ], (req, res) => {
-  esovdb.getVideoById(req, res);
+app.get('/v1/videos/:id', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan() ], (req, res) => {
+  Promise.resolve(esovdb.getVideoById(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for videos related to a single video in the ESOVDB, by its ESOVDB Airtable ID, ranked by relevance—returns JSON. All request params and request query params documented in [esovdb.getRelatedVideos]{@link esovdb.getRelatedVideos}.
+ *  @requires esovdb
+ *  @callback esovdb.getRelatedVideos
+ */
+
+app.get('/v1/videos/:id/related', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan() ], (req, res) => {
+  Promise.resolve(esovdb.getRelatedVideos(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for listing series, topics, tags, people, or organizations from the ESOVDB, a page at a time—returns JSON. All request params and request query params documented in [esovdb.queryCollection]{@link esovdb.queryCollection}.
+ *  @requires esovdb
+ *  @callback esovdb.queryCollection
+ */
+
+app.get('/v1/:kind(series|topics|tags|people|organizations)', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ pageSize: 'pageSize' }) ], (req, res) => {
+  Promise.resolve(esovdb.queryCollection(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for selecting a single series, topic, tag, person, or organization from the ESOVDB by its Airtable record ID—returns JSON. All request params and request query params documented in [esovdb.getCollectionRecord]{@link esovdb.getCollectionRecord}.
+ *  @requires esovdb
+ *  @callback esovdb.getCollectionRecord
+ */
+
+app.get('/v1/:kind(series|topics|tags|people|organizations)/:id', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan() ], (req, res) => {
+  Promise.resolve(esovdb.getCollectionRecord(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for querying the videos linked to a single series, topic, tag, person, or organization in the ESOVDB—returns JSON. All request params and request query params documented in [esovdb.queryCollectionVideos]{@link esovdb.queryCollectionVideos} and [esovdb.queryVideos]{@link esovdb.queryVideos}.
+ *  @requires esovdb
+ *  @callback esovdb.queryCollectionVideos
+ */
+
+app.get('/v1/:kind(series|topics|tags|people|organizations)/:id/videos/:pg?', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ pageSize: 'pageSize', maxRecords: 'maxRecords' }) ], (req, res) => {
+  Promise.resolve(esovdb.queryCollectionVideos(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -125,8 +419,8 @@ app.get('/v1/videos/:id', [ middleware.auth, middleware.validateReq ], (req, res
  *  @callback esovdb.updateVideos
  */
 
-app.post('/:table/update', [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
-  esovdb.updateTable(req, res);
+app.post('/:table/update', [ middleware.validateReq('zotero'), express.urlencoded({ extended: true, verify: keepRawBody }), express.json({ verify: keepRawBody }), middleware.auth('write:zotero') ], (req, res) => {
+  Promise.resolve(esovdb.updateTable(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -136,16 +430,16 @@ app.post('/:table/update', [ middleware.auth, middleware.validateReq, express.ur
  */
 
 app.route('/zotero/:kind')
-  .post([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .post([ middleware.validateReq('zotero'), express.urlencoded({ extended: true, verify: keepRawBody }), express.json({ verify: keepRawBody }), middleware.auth('write:zotero') ], (req, res) => {
     console.log('Performing zotero/${req.params.kind}/create API request...');
     zotero.sync(req, res);
   })
-  .put([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .put([ middleware.validateReq('zotero'), express.urlencoded({ extended: true, verify: keepRawBody }), express.json({ verify: keepRawBody }), middleware.auth('write:zotero') ], (req, res) => {
     console.log('Performing zotero/${req.params.kind}/update API request...');
     zotero.sync(req, res);
   })
   .options(cors())
-  .delete([ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .delete([ middleware.validateReq('zotero'), cors(), express.urlencoded({ extended: true, verify: keepRawBody }), express.json({ verify: keepRawBody }), middleware.auth('write:zotero') ], (req, res) => {
     console.log('Performing zotero/${req.params.kind}/delete API request...');
     zotero.sync(req, res);
   });
@@ -156,7 +450,7 @@ app.route('/zotero/:kind')
  *  @callback webhooks.execute
  */
 
-app.post('/webhooks/discord/watchlist-submission-total', [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
+app.post('/webhooks/discord/watchlist-submission-total', [ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
   console.log('Performing webhooks/discord/newWatchlistSubmissionTotal API request...');
   const response = await webhooks.execute(req.body, 'discord', 'newWatchlistSubmissionTotal');
   if (!response || response.status >= 400) throw new Error('[ERROR] Unable to send Discord watchlist submission total webhook.');
@@ -169,7 +463,7 @@ app.post('/webhooks/discord/watchlist-submission-total', [ middleware.auth, midd
  *  @callback webhooks.execute
  */
 
-app.post('/webhooks/discord', [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
+app.post('/webhooks/discord', [ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
   console.log('Performing webhooks/discord/userSubmission API request...');
   const response = await webhooks.execute(req.body, 'discord', 'userSubmission');
   if (!response || response.status >= 400) throw new Error('[ERROR] Unable to respond to Discord user submission.');
@@ -183,7 +477,7 @@ app.post('/webhooks/discord', [ middleware.auth, middleware.validateReq, express
  */
 
 app.route('/webhooks/twitter')
-  .all([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res, next) => { next(); })
+  .all([ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], (req, res, next) => { next(); })
   .post(async (req, res) => {
     console.log('Performing webhooks/twitter API request...');
     const response = await webhooks.execute(req.body, 'twitter', '{event.type}');
@@ -201,20 +495,20 @@ app.route('/webhooks/twitter')
  */
 
 app.route('/webhooks')
-  .get([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .get([ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
     console.log('Performing webhooks/list API request...');
     webhooks.list(req, res);
   })
-  .post([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .post([ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
     console.log('Performing webhooks/create API request...');
     webhooks.manage(req, res);
   })
-  .put([ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .put([ middleware.auth('manage:webhooks'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
     console.log('Performing webhooks/update API request...');
     webhooks.manage(req, res);
   })
   .options(cors())
-  .delete([ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  .delete([ middleware.auth('manage:webhooks'), middleware.validateReq('private'), cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
     console.log('Performing webhooks/delete API request...');
     webhooks.manage(req, res);
   });
@@ -225,9 +519,9 @@ app.route('/webhooks')
  *  @callback - youtube.getChannelVideos
  */
 
-app.post('/submissions/youtube/channel', [ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.post('/submissions/youtube/channel', [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
   console.log('Performing submissions/youtube channel API request...');
-  youtube.getChannelVideos(req, res);
+  Promise.resolve(youtube.getChannelVideos(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -236,9 +530,9 @@ app.post('/submissions/youtube/channel', [ middleware.auth, middleware.validateR
  *  @callback - youtube.getPlaylistVideos
  */
 
-app.post('/submissions/youtube/playlist', [ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.post('/submissions/youtube/playlist', [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
   console.log('Performing submissions/youtube playlist API request...');
-  youtube.getPlaylistVideos(req, res);
+  Promise.resolve(youtube.getPlaylistVideos(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -247,9 +541,153 @@ app.post('/submissions/youtube/playlist', [ middleware.auth, middleware.validate
  *  @callback - esovdb.newVideoSubmission
  */
 
-app.post('/submissions/youtube/video/:id', [ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.post('/submissions/youtube/video/:id', [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), cors(), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
   console.log('Performing submissions/youtube single video API request...');
-  esovdb.newVideoSubmission(req, res);
+  Promise.resolve(esovdb.newVideoSubmission(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for full-text search of the ESOVDB, ranked by relevance—returns JSON. All request query params documented in [esovdb.searchVideos]{@link esovdb.searchVideos}.
+ *  @requires esovdb
+ *  @callback esovdb.searchVideos
+ */
+
+app.get('/v1/search', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ pageSize: 'limit' }) ], (req, res) => {
+  Promise.resolve(esovdb.searchVideos(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for GraphQL queries over ESOVDB videos and their linked series, topics, tags, people, and organizations—returns JSON. Queries can be sent in the JSON body of a POST request, or in the URL query params of a GET request. All request params documented in [esovdb.queryGraphQL]{@link esovdb.queryGraphQL}.
+ *  @requires esovdb
+ *  @callback esovdb.queryGraphQL
+ */
+
+app.get('/v1/graphql', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan() ], (req, res) => {
+  Promise.resolve(esovdb.queryGraphQL(req, res)).catch(sendRejection(res));
+});
+
+app.post('/v1/graphql', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan(), express.json() ], (req, res) => {
+  Promise.resolve(esovdb.queryGraphQL(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoints for RSS and Atom feeds of the videos most recently added to the ESOVDB, which can be filtered by topic, format, tag, and series. All request query params documented in [esovdb.getFeed]{@link esovdb.getFeed}.
+ *  @requires esovdb
+ *  @callback esovdb.getFeed
+ */
+
+app.get('/v1/feeds/videos.:feedType(rss|atom)', [ middleware.validateReq('public'), middleware.allowCORS, middleware.rateLimit ], (req, res) => {
+  Promise.resolve(esovdb.getFeed(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for the ESOVDB XML schema, which documents and validates all responses sent with the 'format=xml' URL query param
+ */
+
+app.get('/v1/schema/esovdb.xsd', [ middleware.validateReq('public'), middleware.allowCORS ], (req, res) => {
+  res.sendFile('esovdb.xsd', { root: __dirname, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+});
+
+/**
+ *  Combined API endpoints for administering the response cache—lists cached responses with their age and size, or purges them by cache key, cache key prefix, or ESOVDB record ID. All request query params documented in [esovdb.listCacheEntries]{@link esovdb.listCacheEntries} and [esovdb.purgeCache]{@link esovdb.purgeCache}.
+ *  @requires esovdb
+ *  @callback esovdb.listCacheEntries, esovdb.purgeCache
+ */
+
+app.route('/admin/cache')
+  .get([ middleware.auth('admin'), middleware.validateReq('private') ], (req, res) => {
+    Promise.resolve(esovdb.listCacheEntries(req, res)).catch(sendRejection(res));
+  })
+  .delete([ middleware.auth('admin'), middleware.validateReq('private') ], (req, res) => {
+    Promise.resolve(esovdb.purgeCache(req, res)).catch(sendRejection(res));
+  });
+
+/**
+ *  API endpoint for the response cache's hits, stale hits, misses, and hit ratio per route family—returns JSON
+ *  @requires esovdb
+ *  @callback esovdb.getCacheStats
+ */
+
+app.get('/admin/cache/stats', [ middleware.auth('admin'), middleware.validateReq('private') ], (req, res) => {
+  Promise.resolve(esovdb.getCacheStats(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  API endpoint for changing the number of seconds after which cached responses are no longer fresh, on every instance of node, each of which applies it within 30 seconds. Request body documented in [esovdb.updateCacheInterval]{@link esovdb.updateCacheInterval}.
+ *  @requires esovdb
+ *  @callback esovdb.updateCacheInterval
+ */
+
+app.put('/admin/cache/interval', [ middleware.auth('admin'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+  Promise.resolve(esovdb.updateCacheInterval(req, res)).catch(sendRejection(res));
+});
+
+/**
+ *  Combined API endpoints for listing and minting API keys, each with a label, scopes, and an optional daily quota and expiry—the key itself is only ever sent once, when it's minted. All request body params documented in [keys.mintKey]{@link keys.mintKey}.
+ *  @requires keys
+ *  @callback keys.listKeys, keys.mintKey
+ */
+
+app.route('/admin/keys')
+  .get([ middleware.auth('admin'), middleware.validateReq('private') ], async (req, res) => {
+    console.log('Performing admin/keys/list API request...');
+
+    try {
+      res.status(200).send(JSON.stringify(await keys.listKeys()));
+    } catch (err) {
+      console.error('[ERROR] admin/keys/list:', err);
+      res.status(500).send(JSON.stringify({ error: { code: 'KEY_LIST_FAILED', message: err.message } }));
+    }
+  })
+  .post([ middleware.auth('admin'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
+    console.log('Performing admin/keys/mint API request...');
+
+    try {
+      const minted = await keys.mintKey(req.body || {});
+      console.log(`[DONE] Minted API key "${minted.label}" (${minted.id}) with scopes ${minted.scopes.join(', ')}.`);
+      res.status(201).send(JSON.stringify(minted));
+    } catch (err) {
+      console.error('[ERROR] admin/keys/mint:', err);
+      res.status(err.status || 500).send(JSON.stringify({ error: { code: err.code || 'KEY_MINT_FAILED', message: err.message } }));
+    }
+  });
+
+/**
+ *  API endpoint for rotating an API key, which replaces its secret, so that the old key stops working at once—the new key is only ever sent once. Optionally takes a new 'expiresAt' in the request body.
+ *  @requires keys
+ *  @callback keys.rotateKey
+ */
+
+app.post('/admin/keys/:id/rotate', [ middleware.auth('admin'), middleware.validateReq('private'), express.urlencoded({ extended: true }), express.json() ], async (req, res) => {
+  console.log('Performing admin/keys/rotate API request...');
+
+  try {
+    const rotated = await keys.rotateKey(req.params.id, req.body || {});
+    console.log(`[DONE] Rotated API key "${rotated.label}" (${rotated.id}).`);
+    res.status(200).send(JSON.stringify(rotated));
+  } catch (err) {
+    console.error('[ERROR] admin/keys/rotate:', err);
+    res.status(err.status || 500).send(JSON.stringify({ error: { code: err.code || 'KEY_ROTATE_FAILED', message: err.message } }));
+  }
+});
+
+/**
+ *  API endpoint for revoking an API key, so that it stops working at once, while its record is kept
+ *  @requires keys
+ *  @callback keys.revokeKey
+ */
+
+app.delete('/admin/keys/:id', [ middleware.auth('admin'), middleware.validateReq('private') ], async (req, res) => {
+  console.log('Performing admin/keys/revoke API request...');
+
+  try {
+    const revoked = await keys.revokeKey(req.params.id);
+    console.log(`[DONE] Revoked API key "${revoked.label}" (${revoked.id}).`);
+    res.status(200).send(JSON.stringify(revoked));
+  } catch (err) {
+    console.error('[ERROR] admin/keys/revoke:', err);
+    res.status(err.status || 500).send(JSON.stringify({ error: { code: err.code || 'KEY_REVOKE_FAILED', message: err.message } }));
+  }
 });
 
 app.get('/health', async (req, res) => {
@@ -271,8 +709,8 @@ app.get('/health', async (req, res) => {
  *  @callback esovdb.getLatestSubmissions
  */
 
-app.get('/v1/submissions', [ middleware.auth, middleware.validateReq ], (req, res) => {
-  esovdb.getLatestSubmissions(req, res);
+app.get('/v1/submissions', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ catalog: true }) ], (req, res) => {
+  Promise.resolve(esovdb.getLatestSubmissions(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -281,8 +719,8 @@ app.get('/v1/submissions', [ middleware.auth, middleware.validateReq ], (req, re
  *  @callback esovdb.querySubmissions
  */
 
-app.get('/v1/submissions/query/:pg?', [ middleware.auth, middleware.validateReq ], (req, res) => {
-  esovdb.querySubmissions(req, res);
+app.get('/v1/submissions/query/:pg?', [ middleware.auth('read:videos'), middleware.validateReq('public'), middleware.rateLimit, middleware.plan({ pageSize: 'pageSize', maxRecords: 'maxRecords' }) ], (req, res) => {
+  Promise.resolve(esovdb.querySubmissions(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -291,8 +729,8 @@ app.get('/v1/submissions/query/:pg?', [ middleware.auth, middleware.validateReq
  *  @callback esovdb.queryYouTubeVideosAndSubmissions
  */
 
-app.get('/v1/submissions/youtube/video/:id?', [ middleware.validateReq, middleware.allowCORS ], (req, res) => {
-  esovdb.queryYouTubeVideosAndSubmissions(req, res);
+app.get('/v1/submissions/youtube/video/:id?', [ middleware.validateReq('public'), middleware.allowCORS, middleware.rateLimit ], (req, res) => {
+  Promise.resolve(esovdb.queryYouTubeVideosAndSubmissions(req, res)).catch(sendRejection(res));
 });
 
 /**
@@ -303,7 +741,7 @@ app.get('/v1/submissions/youtube/video/:id?', [ middleware.validateReq, middlewa
 
 app.route('/watch')
   .get(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/list API request...');
 
@@ -318,7 +756,7 @@ app.route('/watch')
     }
   )
   .post(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/add API request...');
       
@@ -353,7 +791,7 @@ app.route('/watch')
     }
   )
   .patch(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/update API request...');
       
@@ -383,7 +821,7 @@ app.route('/watch')
   )
   .options(cors())
   .delete(
-    [ middleware.auth, middleware.validateReq, cors(), express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), cors(), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/delete API request...');
       
@@ -404,7 +842,7 @@ app.route('/watch')
 
 app.route('/watch/smart-filter/dry-run')
   .post(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/smart-filter/dry-run request...');
 
@@ -426,7 +864,7 @@ app.route('/watch/smart-filter/dry-run')
 
 app.route('/watch/smart-filter/dry-run/:dryRunId')
   .get(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/smart-filter/dry-run/get request...');
 
@@ -457,7 +895,7 @@ app.route('/watch/smart-filter/dry-run/:dryRunId')
 
 app.route('/watch/smart-filter/dry-run/:dryRunId/result')
   .post(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.validateReq('watchlist'), express.urlencoded({ extended: true, verify: keepRawBody }), express.json({ verify: keepRawBody }), middleware.auth('manage:watchlist') ],
     async (req, res) => {
       console.log('Performing watch/smart-filter/dry-run/result request...');
 
@@ -488,7 +926,7 @@ app.route('/watch/smart-filter/dry-run/:dryRunId/result')
 
 app.route('/watch/:sourceId')
   .get(
-    [ middleware.auth, middleware.validateReq, express.urlencoded({ extended: true }), express.json() ],
+    [ middleware.auth('manage:watchlist'), middleware.validateReq('watchlist'), express.urlencoded({ extended: true }), express.json() ],
     async (req, res) => {
       console.log('Performing watch/get API request...');
       
@@ -530,6 +968,7 @@ const listener = app.listen(port, '0.0.0.0', async () => {
     console.error('[Error] Initial Upstash Redis connection check failed.', err);
   }
   youtube.startUpcomingVideoRecheckWorker();
+  esovdb.startCacheWarmer();
   console.log('API server listening on port ' + listener.address().port);
 });
 
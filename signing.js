@@ -0,0 +1,110 @@
+/**
+ *  @file HMAC-SHA256 request signing for automations that call the ESOVDB API (e.g. Airtable automations and GitHub Actions runners), each with its own shared secret, which is never sent with a request, and with a replay window and nonces tracked in Upstash Redis, so that a signed request can't be sent twice
+ *  @author Avana Vana <avana@esovdb.org>
+ *  @module signing
+ */
+
+const crypto = require('crypto');
+const { db } = require('./batch');
+
+/** @constant {string} nonceNamespace - The prefix of every Redis key used to track the nonces of signed requests */
+const nonceNamespace = 'signing:nonce';
+
+/** @constant {RegExp} regexNonce - Matches a valid nonce, which is unique to each signed request */
+const regexNonce = /^[\w\-]{16,64}$/;
+
+/** @constant {RegExp} regexSignature - Matches the X-ESOVDB-Signature header of a signed request, capturing its hex HMAC-SHA256 digest */
+const regexSignature = /^sha256=([0-9a-f]{64})$/i;
+
+/** @constant {number} signatureTolerance - The duration, in seconds, that the timestamp of a signed request can be before or after the server's clock, set by the SIGNATURE_TOLERANCE environment variable (default: 300s = 5m) */
+const signatureTolerance = Number(process.env.SIGNATURE_TOLERANCE) > 0 ? Math.floor(Number(process.env.SIGNATURE_TOLERANCE)) : 60 * 5;
+
+/** @constant {Map} integrations - Maps the name of each integration that can sign requests, sent in the X-ESOVDB-Integration header, to the environment variable holding its shared secret and the only scopes its signed requests have */
+const integrations = new Map([
+  [ 'airtable', { secret: 'SIGNING_SECRET_AIRTABLE', scopes: [ 'write:zotero' ] } ],
+  [ 'github', { secret: 'SIGNING_SECRET_GITHUB', scopes: [ 'manage:watchlist' ] } ]
+]);
+
+/**
+ *  Creates an error for a signed request that can't be verified, which can be sent to the client with its status
+ *
+ *  @function signingError
+ *  @param {string} message - A description of what is wrong with the request
+ *  @param {string} code - A machine-readable error code (e.g. 'INVALID_SIGNATURE')
+ *  @param {number} [status=401] - The HTTP status of the error
+ *  @returns {Error} An error with {@link status} and {@link code}
+ */
+
+const signingError = (message, code, status = 401) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+/**
+ *  Signs a request with an integration's shared secret, as an HMAC-SHA256 of its timestamp, nonce, method, path, and raw body, each on its own line
+ *
+ *  @function sign
+ *  @param {string} secret - The shared secret of the integration
+ *  @param {Object} request - The parts of the request that are signed
+ *  @param {(number|string)} request.timestamp - The time the request was signed, in seconds since the Unix epoch
+ *  @param {string} request.nonce - A random string unique to the request (16–64 letters, numbers, underscores, or dashes)
+ *  @param {string} request.method - The HTTP method of the request, in uppercase (e.g. 'POST')
+ *  @param {string} request.path - The path of the request, with its query string, if any (e.g. '/zotero/items')
+ *  @param {(Buffer|string)} [request.body=''] - The raw body of the request, exactly as it is sent
+ *  @returns {string} The hex HMAC-SHA256 digest, sent as 'sha256=<digest>' in the X-ESOVDB-Signature header
+ */
+
+const sign = (secret, { timestamp, nonce, method, path, body = '' }) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}\n${nonce}\n${method}\n${path}\n`)
+  .update(body)
+  .digest('hex');
+
+module.exports = {
+  sign,
+
+  /**
+   *  Returns whether or not a request is signed, i.e. whether it has the X-ESOVDB-Signature header
+   *
+   *  @method isSigned
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @returns {boolean} True if the request is signed, else false
+   */
+
+  isSigned: (req) => Boolean(req.headers['x-esovdb-signature']),
+
+  /**
+   *  Verifies the signature of a request, made with the shared secret of the integration in its X-ESOVDB-Integration header, and that it was signed within {@link signatureTolerance} of now, with a nonce that hasn't been used before, which is then tracked in Redis for twice as long as the replay window, so that the request can't be sent again
+   *
+   *  @async
+   *  @method verifySignature
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class, whose raw body, if it has one, was kept as req.rawBody when it was parsed
+   *  @returns {Promise<Object>} Resolves to the integration that signed the request, with its ID as 'id', its name as 'label', and its scopes as 'scopes'
+   *  @throws Will throw an error with a 401 status and the code 'INVALID_SIGNATURE' if the request's signature, integration, or nonce is missing or invalid, 'SIGNATURE_EXPIRED' if it was signed outside of the replay window, or 'REPLAYED_REQUEST' if its nonce has already been used
+   */
+
+  verifySignature: async (req) => {
+    const name = String(req.headers['x-esovdb-integration'] || '').toLowerCase();
+    const integration = integrations.get(name);
+    const timestamp = String(req.headers['x-esovdb-timestamp'] || '');
+    const nonce = String(req.headers['x-esovdb-nonce'] || '');
+    const match = regexSignature.exec(String(req.headers['x-esovdb-signature'] || ''));
+
+    if (!integration || !process.env[integration.secret]) throw signingError(`Unknown integration "${name}".`, 'INVALID_SIGNATURE');
+    if (!match || !/^\d+$/.test(timestamp) || !regexNonce.test(nonce)) throw signingError('Signed requests need valid X-ESOVDB-Timestamp, X-ESOVDB-Nonce, and X-ESOVDB-Signature headers.', 'INVALID_SIGNATURE');
+
+    const expected = Buffer.from(sign(process.env[integration.secret], { timestamp, nonce, method: req.method, path: req.originalUrl, body: req.rawBody || '' }), 'hex');
+    const actual = Buffer.from(match[1].toLowerCase(), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) throw signingError('Invalid request signature.', 'INVALID_SIGNATURE');
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > signatureTolerance)
+      throw signingError(`Request was signed more than ${signatureTolerance} seconds from now.`, 'SIGNATURE_EXPIRED');
+
+    const unused = await db.set(`${nonceNamespace}:${name}:${nonce}`, timestamp, { nx: true, ex: signatureTolerance * 2 });
+    if (!unused) throw signingError('Request has already been sent.', 'REPLAYED_REQUEST');
+
+    return { id: `integration:${name}`, label: name, scopes: integration.scopes };
+  }
+};
@@ -4,8 +4,16 @@
  *  @module util
  */
 
+const crypto = require('crypto');
+const net = require('net');
 const he = require('he');
 
+/** @constant {RegExp} regexYT - Regular expression for matching and extracting a YouTube videoId from a URL or on its own */
+const regexYT = /^(?!rec)(?![\w\-]{12,})(?:.*youtu\.be\/|.*v=)?([\w\-]{10,12})&?.*$/;
+
+/** @constant {RegExp} regexYTVideoId - Regular expression for matching and extracting a YouTube videoId purely on its own */
+const regexYTVideoId = /[\w\-]{10,12}/;
+
 /** @constant {RegExp} regexYTChannelId - Regular expression for matching a YouTube channel ID */
 const regexYTChannelId = /^UC[\w-]{21}[AQgw]$/;
 
@@ -323,13 +331,34 @@ const packageAuthors = (first, last) => first.map((f, i) => ({ firstName: f, las
  *  formatDuration(27);
  */
 
-const formatDuration = (duration) => (duration < 60 ? '0:' : '') + [
-    Math.floor(duration / 3600),
-    duration > 3600 ? module.exports.pad(Math.floor((duration % 3600) / 60), 2) : Math.floor((duration % 3600) / 60),
-    module.exports.pad(Math.floor(duration % 60), 2),
-  ]
-    .filter((t, i, a) => +t !== 0 || i === a.length - 1)
-    .join(':');
+const formatDuration = (duration) => {
+  if (!isFinite(duration)) return '';
+  const h = Math.floor(duration / 3600), m = Math.floor((duration % 3600) / 60), s = Math.floor(duration % 60);
+  return h ? `${h}:${module.exports.pad(m, 2)}:${module.exports.pad(s, 2)}` : `${m}:${module.exports.pad(s, 2)}`;
+};
+
+/**
+ *  Parses a duration given either in integer seconds or formatted as h:mm:ss, m:ss, or 0:ss (e.g. by {@link formatDuration}), back into integer seconds
+ *
+ *  @function parseDuration
+ *  @param {(number|string)} duration - Duration, in integer seconds or formatted as h:mm:ss, m:ss, or 0:ss
+ *  @returns {?number} The duration in integer seconds, or null if {@link duration} isn't a valid duration
+ *
+ *  @example
+ *  // returns 9244
+ *  parseDuration('2:34:04');
+ *
+ *  @example
+ *  // returns 3600
+ *  parseDuration('3600');
+ */
+
+const parseDuration = (duration) => {
+  const value = String(duration === null || typeof duration === 'undefined' ? '' : duration).trim();
+  if (/^\d+$/.test(value)) return +value;
+  if (!/^(?:\d+:)?\d{1,2}:\d{2}$/.test(value)) return null;
+  return value.split(':').reduce((seconds, part) => seconds * 60 + +part, 0);
+};
 
 /**
  *  Converts a YouTube (ISO-8601) duration to seconds
@@ -418,6 +447,61 @@ const patternsToRegEx = (patterns) => new RegExp(
       .replace(/\*/g, '\\b(?:1\\d{2}|2[0-4]\\d|[1-9]?\\d|25[0-5])\\b'))
     .join('|')})`);
 
+/**
+ *  Returns a function that matches IP addresses against a string of space- or comma-separated IP patterns, each of which can be an IPv4 or IPv6 address, a CIDR range (e.g. '192.30.252.0/22' or '2600:1f18::/33'), or an IPv4 address with wildcards (*), where IPv4-mapped IPv6 addresses (e.g. '::ffff:67.118.0.1') match as IPv4
+ *
+ *  @function patternsToMatcher
+ *  @requires patternsToRegEx
+ *  @param {string} [patterns=''] - List of IP addresses, CIDR ranges, and IPv4 addresses with wildcards (*), space- or comma-separated
+ *  @returns {Function} A function that is passed an IP address and returns true if it matches any of {@link patterns}, else false
+ *
+ *  @example
+ *  // returns true
+ *  patternsToMatcher('67.118.0.1 10.0.0.0/8 255.255.*.*')('::ffff:10.1.2.3');
+ */
+
+const patternsToMatcher = (patterns = '') => {
+  const list = new net.BlockList();
+  const wildcards = [];
+
+  String(patterns || '').split(/[\s,]+/).filter(Boolean).forEach((pattern) => {
+    const [ address, prefix ] = pattern.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    try {
+      if (address.includes('*') && typeof prefix === 'undefined') wildcards.push(address);
+      else if (!net.isIP(address) || (typeof prefix !== 'undefined' && !/^\d+$/.test(prefix))) throw new Error('Not an IP address, CIDR range, or IPv4 address with wildcards.');
+      else if (typeof prefix !== 'undefined') list.addSubnet(address, Number(prefix), type);
+      else list.addAddress(address, type);
+    } catch (err) {
+      console.error(`[ERROR] Ignoring invalid IP pattern "${pattern}". ${err.message}`);
+    }
+  });
+
+  const regex = wildcards.length > 0 ? new RegExp(`^${patternsToRegEx(wildcards.join(' ')).source}$`) : null;
+
+  return (ip) => {
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    if (!net.isIP(address)) return false;
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4') || (regex !== null && regex.test(address));
+  };
+};
+
+/**
+ *  Compares a secret sent by a client to the secret it should match in constant time, by comparing their SHA-256 hashes, so that the time taken doesn't reveal how much of the secret was guessed, or how long it is
+ *
+ *  @function secretsMatch
+ *  @param {string} actual - The secret sent by the client (e.g. the value of a header)
+ *  @param {string} [expected] - The secret it should match (e.g. the value of an environment variable), which never matches if it isn't set
+ *  @returns {boolean} True if both secrets are non-empty strings and are equal, else false
+ */
+
+const secretsMatch = (actual, expected) => {
+  if (typeof actual !== 'string' || typeof expected !== 'string' || !actual || !expected) return false;
+  const hash = (secret) => crypto.createHash('sha256').update(secret).digest();
+  return crypto.timingSafeEqual(hash(actual), hash(expected));
+};
+
 /**
  *  Allows for graceful start of server with PM2, etc.
  *
@@ -547,7 +631,7 @@ const normalizePublishedAfter = (input) => {
 }
 
 /**
- *  Escapes a string for safe interpolation into an Airtable formula string literal. Currently escapes single quotes by backslash-escaping them.
+ *  Escapes a string for safe interpolation into a single-quoted Airtable formula string literal, by backslash-escaping backslashes and single quotes.
  *
  *  @function escapeAirtableFormulaString
  *  @param {string} value - Any value to be used inside an Airtable formula string literal
@@ -558,7 +642,21 @@ const normalizePublishedAfter = (input) => {
  *  escapeAirtableFormulaString("Bob's Burgers");
  */
 
-const escapeAirtableFormulaString = (value) => String(value).replace(/'/g, `\\'`);
+const escapeAirtableFormulaString = (value) => String(value).replace(/\\/g, '\\\\').replace(/'/g, `\\'`);
+
+/**
+ *  Escapes a string for use as a literal within a regular expression, by backslash-escaping every regular expression metacharacter.
+ *
+ *  @function escapeRegExp
+ *  @param {string} value - Any value to be matched literally by a regular expression
+ *  @returns {string} The escaped string representation of {@link value}
+ *
+ *  @example
+ *  // returns 'U\\.S\\. \\(USGS\\)'
+ *  escapeRegExp('U.S. (USGS)');
+ */
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
  *  Decodes HTML entities in a string (e.g. "&amp;", "&quot;", "&#39;") into their corresponding Unicode characters. Uses the {@link https://www.npmjs.com/package/he|he} library.
@@ -706,6 +804,8 @@ const detectYouTubeCourse = (html) => {
 }
 
 module.exports = {
+  regexYT,
+  regexYTVideoId,
   truncate,
   queueAsync,
   stringifyCreators,
@@ -719,15 +819,19 @@ module.exports = {
   formatAuthors,
   packageAuthors,
   formatDuration,
+  parseDuration,
   formatYTDuration,
   patternsToArray,
   patternsToRegEx,
+  patternsToMatcher,
+  secretsMatch,
   appReady,
   defineTags,
   getOp,
   shortISODateTime,
   validateAndParseDate,
   escapeAirtableFormulaString,
+  escapeRegExp,
   decodeEntities,
   normalizeUnicodeTitle,
   normalizeUnicodeDescription,
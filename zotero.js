@@ -12,7 +12,8 @@ const { Observable, Subject } = require('rxjs');
 const webhooks = require('./webhooks');
 const twitter = require('./twitter');
 const batch = require('./batch');
-const { processUpdates } = require('./esovdb');
+const { processUpdates, invalidateRecords } = require('./esovdb');
+const { toZoteroItem } = require('./formats');
 const { sleep, queueAsync, formatDuration, formatDate, packageAuthors, getOp, sortDates, shortISODateTime } = require('./util');
 const { parentCollections, topics, formats, seriesSections, tagSections, tagCategories, tags } = require('./mappings');
 
@@ -159,12 +160,13 @@ const postItems = async (path, items) => {
  *  @param {Object} kind - Object containing the type and name of the kind of content it represents, along with special 'string', 'event', sg' and 'pl' getters for stringifying the kind object into different forms
  *  @param {!express:Response} [res=null] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
  *  @returns {Object} An object containing two arrays of Zotero Key strings, one for successful deletions, and one for failures, and a total number of successes. 
- *  @sideEffects Triggers webhook events 'videos.delete' or 'series.delete', depending on the parameter {@link kind}
+ *  @sideEffects Invalidates any cached responses that include the deleted records, and triggers webhook events 'videos.delete' or 'series.delete', depending on the parameter {@link kind}
  *  @see [Zotero Web API 3.0 › Write Requests › Creating Multiple Objects]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#creating_multiple_objects}
  */
 
 const deleteItems = async (data, kind, res = false) => {
   let i = 0, deleted = [], queue = data.length;
+  await invalidateRecords(tables.has(kind.table) ? tables.get(kind.table).name : '', data.map((record) => record.recordId || record.id), 'delete');
   
   while (data.length) {
     console.log(`Deleting ${data.length === 1 ? kind.sg : kind.pl} ${i * 50 + 1}${data.length > 1 ? '-' : ''}${data.length > 1 ? i * 50 + (data.length < 50 ? data.length : 50) : ''} of ${queue} total from Zotero...`);
@@ -195,6 +197,7 @@ const deleteItems = async (data, kind, res = false) => {
  *  @requires util.packageAuthors
  *  @requires util.formatDuration
  *  @requires util.formatDate
+ *  @requires formats.toZoteroItem
  *  @param {Object} video - An object representing a video from the ESOVDB, retrieved from the ESOVDB either through the API or through Airtable's automation feature
  *  @param {Object} template - A valid Zotero item template, retrieved from Zotero using {@link getTemplate}
  *  @returns {Object} A properly-formatted and populated object for use in either a single-item or multiple-item Zotero write request
@@ -204,55 +207,11 @@ const deleteItems = async (data, kind, res = false) => {
  */
 
 const formatItems = async (video, template, op) => {
-  let extras = [];
   video.presenters = packageAuthors(video.presentersFirstName, video.presentersLastName);
-  if (video.topic) extras.push({ title: 'Topic', value: video.topic });
-  if (video.location) extras.push({ title: 'Location', value: video.location });
-  if (video.plusCode) extras.push({ title: 'Plus Code', value: video.plusCode });
-  if (video.learnMore) extras.push({ title: 'Learn More', value: video.learnMore });
-  
-  const presenters = video.presenters.length > 0
-      ? video.presenters.map((presenter) => !presenter.firstName || !presenter.lastName
-        ? {
-            creatorType: 'contributor',
-            name: presenter.firstName || '' + presenter.lastName || '',
-          }
-        : {
-            creatorType: 'contributor',
-            firstName: presenter.firstName,
-            lastName: presenter.lastName,
-          })
-      : {
-          creatorType: 'contributor',
-          name: 'Unknown',
-        };
 
   const payload = {
     ...template,
-    itemType: 'videoRecording',
-    title: video.title || '',
-    creators: presenters,
-    abstractNote: video.desc || '',
-    videoRecordingFormat: video.format || '',
-    seriesTitle: video.series || '',
-    volume: video.vol ? `${video.vol || ''}:${video.no || ''}` : video.no || '',
-    numberOfVolumes: +video.seriesCount > 1 ? video.seriesCount : '',
-    place: video.provider || '',
-    studio: video.publisher || '',
-    date: video.year || '',
-    runningTime: formatDuration(video.runningTime) || '',
-    language: video.language || '',
-    ISBN: '',
-    shortTitle: '',
-    url: video.url || '',
-    accessDate: formatDate(video.accessDate) || '',
-    archive: 'Earth Science Online Video Database',
-    archiveLocation: `https://airtable.com/appAqhfquNFMRAGhQ/tbl3WP689vHdmg7P2/viwD9Tpr6JAAr97CW/${video.recordId}?blocks=bipKEx011McOmAZW2`,
-    libraryCatalog: '',
-    callNumber: video.esovdbId || '',
-    rights: '',
-    extra: extras.map((item) => `${item.title}: ${item.value}`).join('\n'),
-    tags: video.tags ? video.tags.map((tag) => ({ tag })) : [],
+    ...toZoteroItem({ ...video, runningTime: formatDuration(video.runningTime), accessDate: formatDate(video.accessDate) }),
     collections: [],
     relations: {},
   };
@@ -418,10 +377,12 @@ const broadcastItems = async (channel, videos) => {
  *  @param {('create'|'update)} op - Enumerated string representation of the current batch operation 
  *  @param {('series'|'tags')} kind - Enumerated string representation of the kind of Zotero object to process
  *  @param {!express:Response} [res=null] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
- *  @sideEffects Formats new or updated collections to be compatible with Zotero, posts them to Zotero, triggers webhook events "series.create" or "series.update", depending on the parameter {@link op}
+ *  @sideEffects Invalidates any cached responses that include the collections' records, formats new or updated collections to be compatible with Zotero, posts them to Zotero, triggers webhook events "series.create" or "series.update", depending on the parameter {@link op}
  */
 
 const processCollections = async (data, op, kind, res = null) => {
+  await invalidateRecords(tables.has(kind.name) ? tables.get(kind.name).name : '', data.map((record) => record.id), op);
+
   const collections = data.map((collection) => {
     const payload = {};
     payload.name = collection.name;
@@ -523,10 +484,11 @@ const processCollections = async (data, op, kind, res = null) => {
  *  @param {(Object|Object[])} videos - A single object or array of objects representing records from the ESOVDB videos table in Airtable, either originally retrieved through this server's esovdb/videos/list endpoint, or sent through an ESOVDB Airtable automation
  *  @param {('create'|'update)} op - String representation of the current batch operation 
  *  @param {!express:Response} [res=null] - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
- *  @sideEffects Formats new or updated items to be compatible with Zotero, posts them to Zotero, and then tweets and sends a message on Discord if data represents one or more new items, triggers webhook events "videos.create" or "videos.update", depending on the parameter {@link op}
+ *  @sideEffects Invalidates any cached responses that include the videos, formats new or updated items to be compatible with Zotero, posts them to Zotero, and then tweets and sends a message on Discord if data represents one or more new items, triggers webhook events "videos.create" or "videos.update", depending on the parameter {@link op}
  */
 
 const processItems = async (videos, op, res = null) => {
+  await invalidateRecords('Videos', videos.map((video) => video.recordId), op);
   const template = await getTemplate();
   let items = await queueAsync(videos.map((video) => async () => await formatItems(video, template, op)));
 